@@ -0,0 +1,59 @@
+import pool from '../config/db.js';
+import AuditLog, { AUDIT_COLUMNS, AUDIT_FROM } from '../models/AuditLog.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import toCSVLine from '../utils/csv.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// Rows fetched per query while exporting
+const EXPORT_BATCH_SIZE = 1000;
+
+// @desc    Query the audit log
+// @route   GET /api/admin/audit-log
+// @access  Private (admin)
+export const getAuditLog = catchAsync(async (req, res) => {
+  const features = new APIFeatures(AUDIT_FROM, req.query, { columns: AUDIT_COLUMNS });
+
+  const { rows, total, page, pages } = await features
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate()
+    .execute(pool);
+
+  res.json({ results: rows.length, total, page, pages, entries: rows });
+});
+
+// @desc    Export the audit log as CSV, with the same filters as the query
+// @route   GET /api/admin/audit-log/export
+// @access  Private (admin)
+export const exportAuditLog = catchAsync(async (req, res) => {
+  // Page through by ID up to the entries there were at the start, so entries
+  // written during the export can't shift the pages
+  const lastId = await AuditLog.lastId();
+  const { fields: _fields, ...filters } = req.query;
+  const query = { ...filters, sort: 'id', limit: String(EXPORT_BATCH_SIZE) };
+  const fields = Object.keys(AUDIT_COLUMNS);
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.attachment(`audit-log-${stamp}.csv`);
+  res.type('text/csv');
+  res.write(toCSVLine(fields));
+
+  for (let page = 1; ; page += 1) {
+    const { rows, pages } = await new APIFeatures(AUDIT_FROM, { ...query, page: String(page) }, {
+      columns: AUDIT_COLUMNS,
+      maxLimit: EXPORT_BATCH_SIZE
+    })
+      .where('a.id <= ?', lastId)
+      .filter()
+      .sort()
+      .limitFields()
+      .paginate()
+      .execute(pool);
+
+    rows.forEach(row => res.write(toCSVLine(fields.map(field => row[field]))));
+    if (page >= pages) break;
+  }
+
+  res.end();
+});
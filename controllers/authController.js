@@ -1,114 +1,170 @@
 ﻿import User from '../models/User.js';
-import jwt from 'jsonwebtoken';
-import bcrypt from 'bcryptjs';
+import Session from '../models/Session.js';
 import dotenv from 'dotenv';
+import Email from '../utils/email.js';
+import { signAccessToken, startSession } from '../utils/authTokens.js';
+import { recordLoginFailure, clearLoginFailures } from '../middleware/rateLimit.js';
+import audit from '../utils/audit.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
 
 dotenv.config();
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
-export const register = async (req, res) => {
-  try {
-    const { name, email, password, role } = req.body;
-
-    // Check if user exists
-    const existingUser = await User.findByEmail(email);
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
-    }
+export const register = catchAsync(async (req, res, next) => {
+  const { name, email, password, role } = req.body;
 
-    // Create new user
-    const user = await User.create({
-      name,
-      email,
-      password,
-      role: role || 'client'
-    });
-
-    // Create and return JWT token
-    const payload = {
-      user: {
-        id: user.id
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '30d' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ token, user });
-      }
-    );
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).json({ message: 'Server error' });
+  // Check if user exists
+  const existingUser = await User.findByEmail(email);
+  if (existingUser) {
+    return next(new AppError('User already exists', 400));
   }
-};
+
+  // Create new user. Admins are only made by `npm run seed` or by another admin.
+  const user = await User.create({
+    name,
+    email,
+    password,
+    role: role === 'lawyer' ? 'lawyer' : 'client'
+  });
+
+  // Send the welcome email in the background
+  const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+  new Email(user, `${baseUrl}/profile`).sendWelcome();
+
+  // Log the new user in
+  const tokens = await startSession(req, user.id);
+  res.json({ ...tokens, user });
+});
 
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
-export const login = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    // Check if user exists
-    const user = await User.findByEmail(email);
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+export const login = catchAsync(async (req, res, next) => {
+  const { email, password } = req.body;
 
-    // Check password
-    const isMatch = await User.comparePassword(password, user.password);
-    if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+  // Check the user exists and the password matches; failures count towards a lockout
+  const user = await User.findByEmail(email);
+  if (!user || !(await User.comparePassword(password, user.password))) {
+    await recordLoginFailure(email);
+    audit(req, 'auth.login_failed', user ? { type: 'user', id: user.id } : {}, { actor: { email } });
+    return next(new AppError('Invalid credentials', 400));
+  }
 
-    // Create and return JWT token
-    const payload = {
-      user: {
-        id: user.id
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '30d' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({ 
-          token, 
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role
-          }
-        });
-      }
-    );
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).json({ message: 'Server error' });
+  await clearLoginFailures(email);
+
+  if (!user.active) {
+    return next(new AppError('This account has been deactivated', 403));
   }
-};
+
+  if (user.suspended_at) {
+    return next(new AppError('Your account has been suspended', 403));
+  }
+
+  // Create a session and return its tokens
+  const tokens = await startSession(req, user.id);
+  audit(req, 'auth.login', { type: 'user', id: user.id }, { actor: user });
+  res.json({
+    ...tokens,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    }
+  });
+});
 
 // @desc    Get logged in user
 // @route   GET /api/auth/me
 // @access  Private
-export const getMe = async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-    res.json(user);
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).json({ message: 'Server error' });
+export const getMe = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+  res.json(user);
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = catchAsync(async (req, res) => {
+  // Same reply whether or not the account exists, so emails cannot be probed
+  const reply = { message: 'If that email is registered, a reset link has been sent' };
+
+  const user = await User.findByEmail(req.body.email);
+  if (!user) {
+    return res.json(reply);
   }
-};
+
+  const resetToken = await User.createPasswordResetToken(user.id);
+  const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+  const resetURL = `${baseUrl}/reset-password/${resetToken}`;
+
+  // Delivered in the background; failures are logged and retried by the mailer
+  new Email(user, resetURL).sendPasswordReset();
+
+  res.json(reply);
+});
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+export const resetPassword = catchAsync(async (req, res, next) => {
+  const user = await User.findByPasswordResetToken(req.params.token);
+  if (!user) {
+    return next(new AppError('Token is invalid or has expired', 400));
+  }
+
+  await User.updatePassword(user.id, req.body.password);
+  audit(req, 'user.password_reset', { type: 'user', id: user.id }, { actor: user });
+
+  // Sign out every device, then log the user in with a fresh session
+  await Session.revokeAllForUser(user.id);
+  const tokens = await startSession(req, user.id);
+  res.json({ ...tokens, user });
+});
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+export const refresh = catchAsync(async (req, res, next) => {
+  const { session, refreshToken, message } = await Session.rotate(req.body.refresh_token);
+  if (!session) {
+    return next(new AppError(message, 401));
+  }
+
+  res.json({
+    token: signAccessToken(session.user_id, session.id),
+    refresh_token: refreshToken
+  });
+});
+
+// @desc    Log out of the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = catchAsync(async (req, res) => {
+  await Session.revoke(req.sessionId);
+  res.json({ message: 'Logged out' });
+});
+
+// @desc    Log out of every session, on all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = catchAsync(async (req, res) => {
+  const revoked = await Session.revokeAllForUser(req.user.id);
+  res.json({ message: 'Logged out of all devices', revoked });
+});
+
+// @desc    List the logged in user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = catchAsync(async (req, res) => {
+  const sessions = await Session.findActiveForUser(req.user.id);
+  res.json(
+    sessions.map(session => ({ ...session, current: session.id === req.sessionId }))
+  );
+});
@@ -1,122 +1,345 @@
 import pool from '../config/db.js';
+import CaseLifecycle from '../models/CaseLifecycle.js';
+import LicenseVerification from '../models/LicenseVerification.js';
+import Policy from '../models/Policy.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import notify from '../utils/notify.js';
+import { publish, publishCaseUpdate } from '../utils/realtime.js';
+import audit from '../utils/audit.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// Bid fields that can be selected, filtered and sorted in listings
+const BID_COLUMNS = {
+  id: 'b.id',
+  case_id: 'b.case_id',
+  lawyer_id: 'b.lawyer_id',
+  amount: 'b.amount',
+  currency: 'b.currency',
+  message: 'b.message',
+  estimated_time_value: 'b.estimated_time_value',
+  estimated_time_unit: 'b.estimated_time_unit',
+  status: 'b.status',
+  created_at: 'b.created_at',
+  updated_at: 'b.updated_at',
+  lawyer_name: 'u.name',
+  lawyer_email: 'u.email'
+};
 
 // @desc    Create new bid
 // @route   POST /api/bids
-// @access  Private
-export const createBid = async (req, res) => {
+// @access  Private (lawyer)
+export const createBid = catchAsync(async (req, res, next) => {
+  const { case_id, amount, message, currency, estimated_time_value, estimated_time_unit } = req.body;
+
+  // Clients rely on the verified badge, so only verified lawyers can bid
+  if (!(await LicenseVerification.isVerified(req.user.id))) {
+    return next(new AppError(
+      'Only verified lawyers can submit bids. Please submit your license for verification.',
+      403
+    ));
+  }
+
+  const connection = await pool.getConnection();
+
+  // Roll back and pass an error on
+  const refuse = async (code, errorMessage) => {
+    await connection.rollback();
+    return next(new AppError(errorMessage, code));
+  };
+
+  let caseItem;
+  let result;
   try {
-    const { case_id, amount, message, currency } = req.body;
-    
-    // Only lawyers can create bids
-    if (req.user.role !== 'lawyer') {
-      return res.status(403).json({ message: 'Only lawyers can submit bids' });
-    }
+    await connection.beginTransaction();
 
-    // Check if case exists and is open
-    const [cases] = await pool.execute('SELECT * FROM cases WHERE id = ? AND status = ?', [case_id, 'open']);
-    if (cases.length === 0) {
-      return res.status(400).json({ message: 'Case not found or not open for bidding' });
+    // Lock the case, as updateBidStatus does before accepting a bid, so the
+    // case can't be hired between this check and the insert
+    const [cases] = await connection.execute('SELECT * FROM cases WHERE id = ? FOR UPDATE', [case_id]);
+    caseItem = cases[0];
+    if (!caseItem || caseItem.status !== 'open') {
+      return refuse(400, 'Case not found or not open for bidding');
     }
 
     // Check if lawyer already bid on this case
-    const [existingBids] = await pool.execute(
-      'SELECT * FROM bids WHERE case_id = ? AND lawyer_id = ?',
+    const [existingBids] = await connection.execute(
+      'SELECT id FROM bids WHERE case_id = ? AND lawyer_id = ?',
       [case_id, req.user.id]
     );
     if (existingBids.length > 0) {
-      return res.status(400).json({ message: 'You have already bid on this case' });
+      return refuse(400, 'You have already bid on this case');
     }
 
-    const query = `
-      INSERT INTO bids (case_id, lawyer_id, amount, currency, message, status, created_at)
-      VALUES (?, ?, ?, ?, ?, 'pending', NOW())
-    `;
-    
-    const [result] = await pool.execute(query, [case_id, req.user.id, amount, currency || 'USD', message]);
-    
-    // Get the created bid
-    const [newBid] = await pool.execute('SELECT * FROM bids WHERE id = ?', [result.insertId]);
-    
-    res.status(201).json(newBid[0]);
+    [result] = await connection.execute(
+      `INSERT INTO bids (
+         case_id, lawyer_id, amount, currency, message,
+         estimated_time_value, estimated_time_unit, status, created_at
+       )
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
+      [
+        case_id,
+        req.user.id,
+        amount,
+        currency || 'USD',
+        message,
+        estimated_time_value ?? null,
+        estimated_time_unit ?? null
+      ]
+    );
+
+    await connection.commit();
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
-};
+
+  // Get the created bid
+  const [newBid] = await pool.execute('SELECT * FROM bids WHERE id = ?', [result.insertId]);
+
+  notify(caseItem.user_id, 'bid_created', {
+    title: `New bid on "${caseItem.title}"`,
+    body: `${req.user.name} bid ${newBid[0].amount} ${newBid[0].currency} on your case.`,
+    data: { case_id: caseItem.id, bid_id: newBid[0].id },
+    path: `/cases/${caseItem.id}`
+  });
+  publish('bid-created', newBid[0], { userIds: [caseItem.user_id, req.user.id] });
+  
+  res.status(201).json(newBid[0]);
+});
 
 // @desc    Get bids for a case
 // @route   GET /api/bids/case/:caseId
-// @access  Private
-export const getBidsByCase = async (req, res) => {
-  try {
-    const { caseId } = req.params;
-    
-    const query = `
-      SELECT b.*, u.name as lawyer_name, u.email as lawyer_email
-      FROM bids b
-      JOIN users u ON b.lawyer_id = u.id
-      WHERE b.case_id = ?
-      ORDER BY b.created_at DESC
-    `;
-    
-    const [bids] = await pool.execute(query, [caseId]);
-    res.json(bids);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+// @access  Private (case owner, bidders, admin)
+export const getBidsByCase = catchAsync(async (req, res) => {
+  const features = new APIFeatures('bids b JOIN users u ON b.lawyer_id = u.id', req.query, {
+    columns: BID_COLUMNS
+  }).where('b.case_id = ?', req.case.id);
+
+  // Lawyers only see their own bid on someone else's case
+  if (!Policy.allows('case', 'readAllBids', req.relations)) {
+    features.where('b.lawyer_id = ?', req.user.id);
   }
-};
+
+  const { rows, total, page, pages } = await features
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate()
+    .execute(pool);
+
+  res.json({ results: rows.length, total, page, pages, bids: rows });
+});
 
 // @desc    Update bid status
 // @route   PUT /api/bids/:id/status
-// @access  Private
-export const updateBidStatus = async (req, res) => {
+// @access  Private (case owner)
+export const updateBidStatus = catchAsync(async (req, res, next) => {
+  const connection = await pool.getConnection();
+
+  // Roll back and pass an error on
+  const refuse = async (code, message) => {
+    await connection.rollback();
+    return next(new AppError(message, code));
+  };
+
   try {
     const { id } = req.params;
     const { status } = req.body;
-    
-    // Get bid with case details
-    const [bids] = await pool.execute(`
-      SELECT b.*, c.user_id as case_owner_id
-      FROM bids b
-      JOIN cases c ON b.case_id = c.id
-      WHERE b.id = ?
-    `, [id]);
-    
-    if (bids.length === 0) {
-      return res.status(404).json({ message: 'Bid not found' });
-    }
-    
+
+    await connection.beginTransaction();
+
+    // Lock the case first, then the bid, so concurrent decisions on the same
+    // case are applied one at a time
+    const [cases] = await connection.execute(
+      'SELECT * FROM cases WHERE id = ? FOR UPDATE',
+      [req.bid.case_id]
+    );
+    const [bids] = await connection.execute('SELECT * FROM bids WHERE id = ? FOR UPDATE', [id]);
+    const caseItem = cases[0];
     const bid = bids[0];
-    
-    // Only case owner can accept/reject bids
-    if (bid.case_owner_id !== req.user.id) {
-      return res.status(403).json({ message: 'Only case owner can update bid status' });
+
+    // Repeating a decision that has already been made is a no-op
+    if (bid.status === status) {
+      await connection.commit();
+      return res.json({ message: `Bid ${status} successfully` });
+    }
+
+    if (bid.status !== 'pending') {
+      return refuse(400, `This bid has been ${bid.status} and can no longer be ${status}`);
+    }
+
+    if (status === 'accepted') {
+      // Accepting a bid starts work on the case, which must still be open
+      const refusal = CaseLifecycle.check(caseItem, 'in_progress', req.user, { viaBid: true });
+      if (refusal) {
+        return refuse(refusal.status, refusal.message);
+      }
     }
-    
+
     // Update bid status
-    await pool.execute(
+    await connection.execute(
       'UPDATE bids SET status = ?, updated_at = NOW() WHERE id = ?',
       [status, id]
     );
-    
-    // If bid is accepted, update case status
+
+    // Lawyers whose bids are decided by this request
+    const decided = [{ bidId: bid.id, lawyerId: bid.lawyer_id, status }];
+
+    // If bid is accepted, hire the lawyer on the case
     if (status === 'accepted') {
-      await pool.execute(
-        'UPDATE cases SET status = ?, updated_at = NOW() WHERE id = ?',
-        ['in_progress', bid.case_id]
+      await connection.execute(
+        'UPDATE cases SET accepted_bid_id = ?, updated_at = NOW() WHERE id = ?',
+        [id, caseItem.id]
+      );
+      await CaseLifecycle.apply(connection, caseItem, 'in_progress', req.user.id, `Bid #${id} accepted`);
+
+      // Reject all other pending bids for this case
+      const [otherBids] = await connection.execute(
+        "SELECT id, lawyer_id FROM bids WHERE case_id = ? AND id != ? AND status = 'pending'",
+        [caseItem.id, id]
+      );
+      otherBids.forEach(other => {
+        decided.push({ bidId: other.id, lawyerId: other.lawyer_id, status: 'rejected' });
+      });
+      await connection.execute(
+        'UPDATE bids SET status = ?, updated_at = NOW() WHERE case_id = ? AND id != ? AND status = ?',
+        ['rejected', caseItem.id, id, 'pending']
       );
-      
-      // Reject all other bids for this case
-      await pool.execute(
-        'UPDATE bids SET status = ? WHERE case_id = ? AND id != ?',
-        ['rejected', bid.case_id, id]
+    }
+
+    await connection.commit();
+
+    // Every decided bid was pending until now
+    decided.forEach(decision => {
+      audit(req, 'bid.status_change', { type: 'bid', id: decision.bidId }, {
+        before: { case_id: caseItem.id, lawyer_id: decision.lawyerId, status: 'pending' },
+        after: { case_id: caseItem.id, lawyer_id: decision.lawyerId, status: decision.status }
+      });
+    });
+
+    decided.forEach(decision => {
+      notify(decision.lawyerId, `bid_${decision.status}`, {
+        title: `Your bid on "${caseItem.title}" was ${decision.status}`,
+        data: { case_id: caseItem.id, bid_id: decision.bidId },
+        path: `/cases/${caseItem.id}`
+      });
+      publish(
+        'bid-status-changed',
+        { case_id: caseItem.id, bid_id: decision.bidId, status: decision.status },
+        { userIds: [caseItem.user_id, decision.lawyerId] }
       );
+    });
+    if (status === 'accepted') {
+      publishCaseUpdate(caseItem.id, { status: 'in_progress', accepted_bid_id: bid.id });
     }
-    
+
     res.json({ message: `Bid ${status} successfully` });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+});
+
+// @desc    Get logged in lawyer's bids
+// @route   GET /api/bids/mine
+// @access  Private (lawyer)
+export const getMyBids = catchAsync(async (req, res) => {
+  let query = `
+    SELECT b.*, c.title as case_title, c.category as case_category,
+           c.status as case_status, c.budget as case_budget, c.currency as case_currency
+    FROM bids b
+    JOIN cases c ON b.case_id = c.id
+    WHERE b.lawyer_id = ?
+  `;
+  const params = [req.user.id];
+
+  if (req.query.status) {
+    query += ' AND b.status = ?';
+    params.push(req.query.status);
+  }
+
+  query += ' ORDER BY b.created_at DESC';
+
+  const [bids] = await pool.execute(query, params);
+  res.json(bids);
+});
+
+// Only pending bids can be changed by their lawyer
+const assertPending = bid => {
+  if (bid.status !== 'pending') {
+    throw new AppError(`This bid has been ${bid.status} and can no longer be changed`, 400);
   }
 };
+
+// @desc    Edit a pending bid
+// @route   PUT /api/bids/:id
+// @access  Private (bid's lawyer)
+export const updateBid = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { amount, message, estimated_time_value, estimated_time_unit } = req.body;
+
+  const { bid } = req;
+  assertPending(bid);
+
+  // The status check is repeated in the update so a bid accepted meanwhile is left alone
+  const [result] = await pool.execute(
+    `UPDATE bids
+     SET amount = ?, message = ?, estimated_time_value = ?, estimated_time_unit = ?, updated_at = NOW()
+     WHERE id = ? AND status = 'pending'`,
+    [
+      amount ?? bid.amount,
+      message ?? bid.message,
+      estimated_time_value ?? bid.estimated_time_value,
+      estimated_time_unit ?? bid.estimated_time_unit,
+      id
+    ]
+  );
+  if (result.affectedRows === 0) {
+    return next(new AppError('This bid can no longer be changed', 400));
+  }
+
+  const [updatedBid] = await pool.execute('SELECT * FROM bids WHERE id = ?', [id]);
+  res.json(updatedBid[0]);
+});
+
+// @desc    Withdraw a pending bid
+// @route   PUT /api/bids/:id/withdraw
+// @access  Private (bid's lawyer)
+export const withdrawBid = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  const { bid } = req;
+  assertPending(bid);
+
+  const [result] = await pool.execute(
+    "UPDATE bids SET status = 'withdrawn', updated_at = NOW() WHERE id = ? AND status = 'pending'",
+    [id]
+  );
+  if (result.affectedRows === 0) {
+    return next(new AppError('This bid can no longer be withdrawn', 400));
+  }
+
+  audit(req, 'bid.status_change', { type: 'bid', id: bid.id }, {
+    before: { case_id: bid.case_id, lawyer_id: bid.lawyer_id, status: 'pending' },
+    after: { case_id: bid.case_id, lawyer_id: bid.lawyer_id, status: 'withdrawn' }
+  });
+
+  const [cases] = await pool.execute('SELECT id, user_id, title FROM cases WHERE id = ?', [bid.case_id]);
+  notify(cases[0].user_id, 'bid_withdrawn', {
+    title: `A bid on "${cases[0].title}" was withdrawn`,
+    body: `${req.user.name} withdrew their bid on your case.`,
+    data: { case_id: bid.case_id, bid_id: bid.id },
+    path: `/cases/${bid.case_id}`
+  });
+  publish(
+    'bid-status-changed',
+    { case_id: bid.case_id, bid_id: bid.id, status: 'withdrawn' },
+    { userIds: [cases[0].user_id, req.user.id] }
+  );
+
+  res.json({ message: 'Bid withdrawn successfully' });
+});
@@ -1,164 +1,290 @@
 import pool from '../config/db.js';
+import CaseLifecycle, { CASE_STATUSES } from '../models/CaseLifecycle.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import { searchTerms, highlight, snippet } from '../utils/highlight.js';
+import notify from '../utils/notify.js';
+import { publish, publishCaseUpdate } from '../utils/realtime.js';
+import { removeFiles } from '../utils/storage.js';
+import audit from '../utils/audit.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// Case fields that can be selected, filtered and sorted in listings
+const CASE_COLUMNS = {
+  id: 'id',
+  user_id: 'user_id',
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  category: 'category',
+  currency: 'currency',
+  budget: 'budget',
+  deadline: 'deadline',
+  location: 'location',
+  is_remote: 'is_remote',
+  accepted_bid_id: 'accepted_bid_id',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
 
 // @desc    Get all cases
 // @route   GET /api/cases
 // @access  Private
-export const getAllCases = async (req, res) => {
-  try {
-    let query = 'SELECT * FROM cases';
-    const params = [];
-
-    // Filter cases based on user role
-    if (req.user.role === 'client') {
-      query += ' WHERE user_id = ?';
-      params.push(req.user.id);
-    } else if (req.user.role === 'lawyer') {
-      query += ' WHERE status = ?';
-      params.push('open');
-    }
+export const getAllCases = catchAsync(async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
 
-    query += ' ORDER BY created_at DESC';
+  // Keyword searches are ranked by relevance unless another sort is asked for
+  const features = new APIFeatures('cases', req.query, {
+    columns: CASE_COLUMNS,
+    defaultSort: q ? '-relevance' : '-created_at'
+  });
 
-    const [cases] = await pool.execute(query, params);
-    res.json(cases);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+  if (q) {
+    const match = 'MATCH(title, description) AGAINST(? IN NATURAL LANGUAGE MODE)';
+    features.select('relevance', match, q).where(match, q);
   }
-};
 
-// @desc    Get case by ID
-// @route   GET /api/cases/:id
-// @access  Private
-export const getCaseById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    let query = 'SELECT * FROM cases WHERE id = ?';
-    const params = [id];
-
-    // Permission check based on user role
-    if (req.user.role === 'client') {
-      // Clients can only view their own cases
-      query += ' AND user_id = ?';
-      params.push(req.user.id);
-    } else if (req.user.role === 'lawyer') {
-      // Lawyers can view open cases
-      query += ' AND status = ?';
-      params.push('open');
-    }
-    // Admins can view all cases (no additional filter needed)
+  // List the cases the user can read (POLICIES.case.read): clients see their
+  // own, lawyers see open cases and the ones they have bid on
+  if (req.user.role === 'client') {
+    features.where('user_id = ?', req.user.id);
+  } else if (req.user.role === 'lawyer') {
+    features.where(
+      "(status = 'open' OR id IN (SELECT case_id FROM bids WHERE lawyer_id = ?))",
+      req.user.id
+    );
+  }
 
-    const [cases] = await pool.execute(query, params);
-    
-    if (cases.length === 0) {
-      return res.status(404).json({ message: 'Case not found' });
-    }
+  const { rows, total, page, pages } = await features
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate()
+    .execute(pool);
 
-    res.json(cases[0]);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+  // Show where the keywords matched
+  if (q) {
+    const terms = searchTerms(q);
+    rows.forEach(row => {
+      row.highlight = {
+        ...(row.title !== undefined && { title: highlight(row.title, terms) }),
+        ...(row.description !== undefined && { description: snippet(row.description, terms) })
+      };
+    });
   }
-};
+
+  res.json({ results: rows.length, total, page, pages, cases: rows });
+});
+
+// @desc    Get case by ID
+// @route   GET /api/cases/:id
+// @access  Private (case owner, hired lawyer, bidders, any lawyer while open, admin)
+export const getCaseById = catchAsync(async (req, res) => {
+  res.json(req.case);
+});
 
 // @desc    Create new case
 // @route   POST /api/cases
-// @access  Private
-export const createCase = async (req, res) => {
-  try {
-    const { title, description, category } = req.body;
-    
-    // Only clients can create cases
-    if (req.user.role !== 'client') {
-      return res.status(403).json({ message: 'Only clients can create cases' });
-    }
+// @access  Private (client)
+export const createCase = catchAsync(async (req, res) => {
+  const { title, description, category, budget, currency, deadline, location, is_remote } = req.body;
 
-    const query = `
-      INSERT INTO cases (user_id, title, description, category, status, created_at, updated_at)
-      VALUES (?, ?, ?, ?, 'open', NOW(), NOW())
-    `;
-    
-    const [result] = await pool.execute(query, [req.user.id, title, description, category]);
-    
-    // Get the created case
-    const [newCase] = await pool.execute('SELECT * FROM cases WHERE id = ?', [result.insertId]);
-    
-    res.status(201).json(newCase[0]);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
+  const query = `
+    INSERT INTO cases (
+      user_id, title, description, category, budget, currency, deadline, location, is_remote,
+      status, created_at, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', NOW(), NOW())
+  `;
+  
+  const [result] = await pool.execute(query, [
+    req.user.id,
+    title,
+    description,
+    category,
+    budget ?? null,
+    currency ? currency.toUpperCase() : 'USD',
+    deadline ? new Date(deadline) : null,
+    location ?? null,
+    is_remote ?? false
+  ]);
+  await CaseLifecycle.record(pool, result.insertId, null, 'open', req.user.id);
+  
+  // Get the created case
+  const [newCase] = await pool.execute('SELECT * FROM cases WHERE id = ?', [result.insertId]);
+  
+  res.status(201).json(newCase[0]);
+});
 
 // @desc    Update case
 // @route   PUT /api/cases/:id
-// @access  Private
-export const updateCase = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { title, description, category, status } = req.body;
-    
-    // Check if case exists and user has permission
-    const checkQuery = 'SELECT * FROM cases WHERE id = ?';
-    const [existingCases] = await pool.execute(checkQuery, [id]);
-    
-    if (existingCases.length === 0) {
-      return res.status(404).json({ message: 'Case not found' });
-    }
-    
-    const caseItem = existingCases[0];
-    
-    // Check permissions
-    if (req.user.role !== 'admin' && caseItem.user_id !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to update this case' });
-    }
-    
-    const updateQuery = `
-      UPDATE cases 
-      SET title = ?, description = ?, category = ?, status = ?, updated_at = NOW()
-      WHERE id = ?
-    `;
-    
-    await pool.execute(updateQuery, [title, description, category, status, id]);
-    
-    // Get updated case
-    const [updatedCase] = await pool.execute('SELECT * FROM cases WHERE id = ?', [id]);
-    
-    res.json(updatedCase[0]);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+// @access  Private (case owner, admin)
+export const updateCase = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { title, description, category, budget, currency, deadline, location, is_remote } = req.body;
+
+  // Status changes go through the case lifecycle
+  if (req.body.status !== undefined) {
+    return next(new AppError(
+      'Use POST /api/cases/:id/transitions to change the case status',
+      400
+    ));
   }
-};
+
+  const caseItem = req.case;
+  
+  const updateQuery = `
+    UPDATE cases 
+    SET title = ?, description = ?, category = ?, budget = ?, currency = ?,
+        deadline = ?, location = ?, is_remote = ?, updated_at = NOW()
+    WHERE id = ?
+  `;
+  
+  // Fields left out of the request keep their current values; budget,
+  // deadline and location are cleared by sending null
+  const has = field => Object.hasOwn(req.body, field);
+  await pool.execute(updateQuery, [
+    title,
+    description,
+    category,
+    has('budget') ? budget : caseItem.budget,
+    currency ? currency.toUpperCase() : caseItem.currency,
+    has('deadline') ? deadline && new Date(deadline) : caseItem.deadline,
+    has('location') ? location : caseItem.location,
+    is_remote ?? caseItem.is_remote,
+    id
+  ]);
+  
+  // Get updated case
+  const [updatedCase] = await pool.execute('SELECT * FROM cases WHERE id = ?', [id]);
+  publishCaseUpdate(id, updatedCase[0]);
+  audit(req, 'case.update', { type: 'case', id: caseItem.id }, { before: caseItem, after: updatedCase[0] });
+  
+  res.json(updatedCase[0]);
+});
 
 // @desc    Delete case
 // @route   DELETE /api/cases/:id
-// @access  Private
-export const deleteCase = async (req, res) => {
+// @access  Private (case owner, admin)
+export const deleteCase = catchAsync(async (req, res) => {
+  // Deleting cascades to the case's bids and documents, so they go in the audit
+  // snapshot, and the documents' files are removed afterwards
+  const [bids] = await pool.execute('SELECT * FROM bids WHERE case_id = ?', [req.case.id]);
+  const [documents] = await pool.execute(
+    'SELECT id, name, path, size, type, uploaded_by, created_at FROM documents WHERE case_id = ?',
+    [req.case.id]
+  );
+
+  await pool.execute('DELETE FROM cases WHERE id = ?', [req.case.id]);
+  await removeFiles(documents.map(document => document.path));
+  audit(req, 'case.delete', { type: 'case', id: req.case.id }, {
+    before: { ...req.case, bids, documents: documents.map(({ path: _path, ...document }) => document) }
+  });
+  
+  res.json({ message: 'Case deleted successfully' });
+});
+
+// @desc    Move a case to a new status
+// @route   POST /api/cases/:id/transitions
+// @access  Private (case owner, admin)
+export const transitionCase = catchAsync(async (req, res, next) => {
+  const connection = await pool.getConnection();
+
   try {
     const { id } = req.params;
-    
-    // Check if case exists and user has permission
-    const checkQuery = 'SELECT * FROM cases WHERE id = ?';
-    const [existingCases] = await pool.execute(checkQuery, [id]);
-    
-    if (existingCases.length === 0) {
-      return res.status(404).json({ message: 'Case not found' });
+    const { status, note } = req.body;
+
+    if (!CASE_STATUSES.includes(status)) {
+      return next(new AppError(`Status must be one of: ${CASE_STATUSES.join(', ')}`, 400));
+    }
+
+    await connection.beginTransaction();
+
+    // Lock the case so concurrent transitions are applied one at a time
+    const [cases] = await connection.execute('SELECT * FROM cases WHERE id = ? FOR UPDATE', [id]);
+    if (cases.length === 0) {
+      await connection.rollback();
+      return next(new AppError('Case not found', 404));
+    }
+
+    const caseItem = cases[0];
+    const refusal = CaseLifecycle.check(caseItem, status, req.user);
+    if (refusal) {
+      await connection.rollback();
+      return next(new AppError(refusal.message, refusal.status));
     }
-    
-    const caseItem = existingCases[0];
-    
-    // Check permissions (only admin or case owner can delete)
-    if (req.user.role !== 'admin' && caseItem.user_id !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this case' });
+
+    // Work out who to tell before the side effects change the bids
+    const [pendingBids] = await connection.execute(
+      "SELECT id, lawyer_id FROM bids WHERE case_id = ? AND status = 'pending'",
+      [id]
+    );
+    const [hiredBids] = await connection.execute(
+      'SELECT lawyer_id FROM bids WHERE id = ?',
+      [caseItem.accepted_bid_id ?? 0]
+    );
+
+    await CaseLifecycle.apply(connection, caseItem, status, req.user.id, note || null);
+    await connection.commit();
+
+    audit(req, 'case.transition', { type: 'case', id: caseItem.id }, {
+      before: { status: caseItem.status },
+      after: { status, note: note || null }
+    });
+
+    // The owner and hired lawyer hear about the change unless they made it
+    const recipients = new Set([caseItem.user_id, ...hiredBids.map(b => b.lawyer_id)]);
+    recipients.delete(req.user.id);
+    recipients.forEach(userId => {
+      notify(userId, 'case_status_changed', {
+        title: `"${caseItem.title}" is now ${status.replace('_', ' ')}`,
+        body: note || null,
+        data: { case_id: caseItem.id, from: caseItem.status, to: status },
+        path: `/cases/${caseItem.id}`
+      });
+    });
+
+    // Cancelling a case rejects its pending bids
+    if (status === 'cancelled') {
+      pendingBids.forEach(bid => {
+        notify(bid.lawyer_id, 'bid_rejected', {
+          title: `Your bid on "${caseItem.title}" was rejected`,
+          body: 'The client cancelled the case.',
+          data: { case_id: caseItem.id, bid_id: bid.id },
+          path: `/cases/${caseItem.id}`
+        });
+        publish(
+          'bid-status-changed',
+          { case_id: caseItem.id, bid_id: bid.id, status: 'rejected' },
+          { userIds: [caseItem.user_id, bid.lawyer_id] }
+        );
+      });
     }
-    
-    await pool.execute('DELETE FROM cases WHERE id = ?', [id]);
-    
-    res.json({ message: 'Case deleted successfully' });
+
+    const [updatedCase] = await pool.execute('SELECT * FROM cases WHERE id = ?', [id]);
+
+    // Bidders rejected by a cancellation still hear that the case changed
+    publish('case-updated', { case_id: caseItem.id, ...updatedCase[0] }, {
+      userIds: [
+        caseItem.user_id,
+        ...hiredBids.map(b => b.lawyer_id),
+        ...pendingBids.map(b => b.lawyer_id)
+      ]
+    });
+
+    res.json(updatedCase[0]);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
-};
+});
+
+// @desc    Get a case's status history
+// @route   GET /api/cases/:id/transitions
+// @access  Private (case owner, hired lawyer, bidders, admin)
+export const getCaseHistory = catchAsync(async (req, res) => {
+  const history = await CaseLifecycle.history(req.case.id);
+  res.json(history);
+});
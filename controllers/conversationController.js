@@ -0,0 +1,94 @@
+import Conversation from '../models/Conversation.js';
+import Document from '../models/Document.js';
+import Policy from '../models/Policy.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// @desc    Get logged in user's conversations with unread counts
+// @route   GET /api/conversations
+// @access  Private
+export const getMyConversations = catchAsync(async (req, res) => {
+  const conversations = await Conversation.findForUser(req.user.id);
+  const unreadTotal = conversations.reduce((sum, conv) => sum + Number(conv.unread_count), 0);
+
+  res.json({ unread_total: unreadTotal, conversations });
+});
+
+// @desc    Get logged in user's conversations about a case
+// @route   GET /api/cases/:id/conversations
+// @access  Private (case owner, bidding lawyer)
+export const getCaseConversations = catchAsync(async (req, res) => {
+  const conversations = await Conversation.findForUser(req.user.id, req.case.id);
+  res.json(conversations);
+});
+
+// @desc    Start (or get) the conversation between a case's client and a lawyer
+// @route   POST /api/cases/:id/conversations
+// @access  Private (case owner, bidding lawyer)
+export const startConversation = catchAsync(async (req, res, next) => {
+  const caseItem = req.case;
+
+  // Lawyers talk to the client about their own bid; the client picks the lawyer
+  const lawyerId = req.user.role === 'lawyer' ? req.user.id : Number(req.body.lawyer_id);
+  if (!lawyerId) {
+    return next(new AppError('Lawyer ID is required', 400));
+  }
+
+  if (!(await Conversation.canParticipate(caseItem, lawyerId, req.user))) {
+    return next(new AppError(
+      'Conversations are open between the client and bidding lawyers, or the hired lawyer once hired',
+      403
+    ));
+  }
+
+  const conversation = await Conversation.findOrCreate(caseItem.id, lawyerId);
+  res.status(201).json(conversation);
+});
+
+// @desc    Get messages in a conversation
+// @route   GET /api/conversations/:id/messages
+// @access  Private (participants)
+export const getMessages = catchAsync(async (req, res) => {
+  const { conversation } = req;
+
+  const before = parseInt(req.query.before, 10) || null;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+  const page = await Conversation.getMessages(conversation.id, { before, limit });
+  res.json(page);
+});
+
+// @desc    Send a message
+// @route   POST /api/conversations/:id/messages
+// @access  Private (participants)
+export const sendMessage = catchAsync(async (req, res, next) => {
+  const { conversation } = req;
+
+  const { body, document_ids: documentIds = [] } = req.body;
+
+  // Attachments must be documents of this case that the sender can read
+  for (const documentId of documentIds) {
+    const document = await Document.findById(documentId);
+    const canAttach =
+      document &&
+      document.case_id === conversation.case_id &&
+      (await Policy.can(req.user, 'document', 'read', document));
+
+    if (!canAttach) {
+      return next(new AppError(`Document ${documentId} cannot be attached to this conversation`, 400));
+    }
+  }
+
+  const message = await Conversation.addMessage(conversation, req.user.id, body, documentIds);
+  res.status(201).json(message);
+});
+
+// @desc    Mark messages in a conversation as read
+// @route   POST /api/conversations/:id/read
+// @access  Private (participants)
+export const markConversationRead = catchAsync(async (req, res) => {
+  const { conversation } = req;
+
+  const marked = await Conversation.markRead(conversation.id, req.user.id, req.body.up_to || null);
+  res.json({ marked });
+});
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import path from 'path';
+import Document from '../models/Document.js';
+import { getStorage, removeFiles } from '../utils/storage.js';
+import audit from '../utils/audit.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// Strip the storage path from the API representation
+const formatDocument = ({ path: _path, ...document }) => document;
+
+// @desc    Upload a document to a case
+// @route   POST /api/cases/:id/documents
+// @access  Private (case owner, hired lawyer, admin)
+export const uploadCaseDocument = catchAsync(async (req, res, next) => {
+  const caseItem = req.case;
+
+  if (!req.file) {
+    return next(new AppError('Please attach a file', 400));
+  }
+
+  const extension = path.extname(req.file.originalname).toLowerCase();
+  const key = `cases/${caseItem.id}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+
+  const storage = getStorage();
+  await storage.save(key, req.file.buffer);
+
+  let document;
+  try {
+    document = await Document.create({
+      caseId: caseItem.id,
+      name: req.file.originalname,
+      path: key,
+      size: req.file.size,
+      type: req.file.mimetype,
+      uploadedBy: req.user.id
+    });
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    await storage.remove(key);
+    throw error;
+  }
+
+  audit(req, 'document.upload', { type: 'document', id: document.id }, { after: formatDocument(document) });
+  res.status(201).json(formatDocument(document));
+});
+
+// @desc    List a case's documents
+// @route   GET /api/cases/:id/documents
+// @access  Private (case owner, hired lawyer, admin)
+export const getCaseDocuments = catchAsync(async (req, res) => {
+  const documents = await Document.findByCase(req.case.id);
+  res.json(documents.map(formatDocument));
+});
+
+// @desc    Download a document
+// @route   GET /api/documents/:id
+// @access  Private (case owner, hired lawyer, admin, conversation participants it was shared with)
+export const downloadDocument = catchAsync(async (req, res, next) => {
+  const { document } = req;
+
+  const stream = getStorage().createReadStream(document.path);
+  stream.on('error', error => {
+    console.error(error);
+    if (!res.headersSent) {
+      next(new AppError('Document file not found', 404));
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  audit(req, 'document.download', { type: 'document', id: document.id }, {
+    after: { case_id: document.case_id, name: document.name }
+  });
+
+  res.attachment(document.name);
+  res.type(document.type);
+  res.set('Content-Length', document.size);
+  stream.pipe(res);
+});
+
+// @desc    Delete a document
+// @route   DELETE /api/documents/:id
+// @access  Private (uploader, case owner, admin)
+export const deleteDocument = catchAsync(async (req, res) => {
+  const { document } = req;
+
+  await Document.delete(document.id);
+  await removeFiles([document.path]);
+  audit(req, 'document.delete', { type: 'document', id: document.id }, { before: formatDocument(document) });
+
+  res.json({ message: 'Document deleted successfully' });
+});
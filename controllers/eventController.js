@@ -0,0 +1,24 @@
+import { verifyToken } from '../middleware/auth.js';
+import { subscribe } from '../utils/realtime.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// @desc    Stream bid and case events to the logged in user (Server-Sent Events)
+// @route   GET /api/events
+// @access  Private (Bearer header, or ?token= since EventSource can't set headers)
+export const streamEvents = catchAsync(async (req, res, next) => {
+  const authHeader = req.header('Authorization');
+  const token =
+    authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : req.query.token;
+
+  if (!token) {
+    return next(new AppError('No token, authorization denied', 401));
+  }
+
+  const { user, sessionId, expiresAt, message } = await verifyToken(token);
+  if (!user) {
+    return next(new AppError(message, 401));
+  }
+
+  subscribe(req, res, user, { sessionId, expiresAt });
+});
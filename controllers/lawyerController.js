@@ -0,0 +1,114 @@
+import pool from '../config/db.js';
+import LawyerProfile from '../models/LawyerProfile.js';
+import { photoUrls } from '../utils/photos.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+const parseBoolean = value => {
+  if (value === undefined) return undefined;
+  return value === 'true' || value === '1';
+};
+
+const parseNumber = value => (value === undefined || value === '' ? undefined : Number(value));
+
+// @desc    Search the lawyer directory
+// @route   GET /api/lawyers
+// @access  Public
+export const searchLawyers = catchAsync(async (req, res) => {
+  const {
+    specialization,
+    language,
+    proficiency,
+    minRate,
+    maxRate,
+    maxFee,
+    available,
+    verified,
+    lat,
+    lng,
+    radius,
+    q
+  } = req.query;
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const near =
+    lat !== undefined && lng !== undefined
+      ? { lat: Number(lat), lng: Number(lng), radius: parseNumber(radius) ?? 25 }
+      : undefined;
+  const text = q && q.trim() ? q.trim() : undefined;
+
+  // Best matches first for text searches, closest first for radius searches
+  let defaultSort = '-rating';
+  if (text) defaultSort = '-relevance';
+  else if (near) defaultSort = 'distance';
+
+  const { total, lawyers } = await LawyerProfile.search({
+    specializations: specialization ? specialization.split(',').map(s => s.trim()) : [],
+    language,
+    proficiency,
+    minRate: parseNumber(minRate),
+    maxRate: parseNumber(maxRate),
+    maxConsultationFee: parseNumber(maxFee),
+    isAvailable: parseBoolean(available),
+    isVerified: parseBoolean(verified),
+    near,
+    text,
+    sort: req.query.sort || defaultSort,
+    page,
+    limit
+  });
+
+  res.json({
+    results: lawyers.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    lawyers
+  });
+});
+
+// @desc    Get logged in lawyer's profile
+// @route   GET /api/lawyers/me/profile
+// @access  Private (lawyer)
+export const getMyProfile = catchAsync(async (req, res, next) => {
+  const profile = await LawyerProfile.findByUserId(req.user.id);
+  if (!profile) {
+    return next(new AppError('No profile found for this user', 404));
+  }
+
+  res.json(profile);
+});
+
+// @desc    Create or update logged in lawyer's profile
+// @route   PUT /api/lawyers/me/profile
+// @access  Private (lawyer)
+export const updateMyProfile = catchAsync(async (req, res) => {
+  const profile = await LawyerProfile.upsert(req.user.id, req.body);
+  res.json(profile);
+});
+
+// @desc    Get a lawyer's public profile
+// @route   GET /api/lawyers/:id
+// @access  Public
+export const getLawyerById = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // Deactivated and suspended lawyers are hidden as if they were gone
+  const [users] = await pool.execute(
+    `SELECT id, name, photo, created_at FROM users
+     WHERE id = ? AND role = ? AND active = TRUE AND suspended_at IS NULL`,
+    [id, 'lawyer']
+  );
+  if (users.length === 0) {
+    return next(new AppError('Lawyer not found', 404));
+  }
+
+  const profile = await LawyerProfile.findByUserId(id);
+  if (!profile) {
+    return next(new AppError('Lawyer has not set up a profile yet', 404));
+  }
+
+  res.json({ ...users[0], photo: photoUrls(users[0].photo), profile });
+});
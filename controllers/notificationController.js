@@ -0,0 +1,64 @@
+import Notification from '../models/Notification.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// @desc    Get logged in user's notifications
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = catchAsync(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const unreadOnly = req.query.unread === 'true';
+
+  const { total, notifications } = await Notification.findForUser(req.user.id, {
+    unreadOnly,
+    page,
+    limit
+  });
+  const unreadCount = await Notification.countUnread(req.user.id);
+
+  res.json({
+    results: notifications.length,
+    total,
+    unread_count: unreadCount,
+    page,
+    pages: Math.ceil(total / limit),
+    notifications
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+export const markNotificationRead = catchAsync(async (req, res, next) => {
+  const updated = await Notification.markRead(req.params.id, req.user.id);
+  if (!updated) {
+    return next(new AppError('Notification not found', 404));
+  }
+
+  res.json({ message: 'Notification marked as read' });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = catchAsync(async (req, res) => {
+  const marked = await Notification.markAllRead(req.user.id);
+  res.json({ marked });
+});
+
+// @desc    Get notification delivery preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getPreferences = catchAsync(async (req, res) => {
+  const preferences = await Notification.getPreferences(req.user.id);
+  res.json(preferences);
+});
+
+// @desc    Update notification delivery preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updatePreferences = catchAsync(async (req, res) => {
+  const preferences = await Notification.setPreferences(req.user.id, req.body);
+  res.json(preferences);
+});
@@ -0,0 +1,81 @@
+import Review from '../models/Review.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// @desc    Create a review for the lawyer hired on a completed case
+// @route   POST /api/reviews
+// @access  Private (client)
+export const createReview = catchAsync(async (req, res, next) => {
+  const { case_id, rating, title, comment, is_anonymous } = req.body;
+
+  const lawyerId = await Review.findReviewableLawyer(case_id, req.user.id);
+  if (!lawyerId) {
+    return next(new AppError(
+      "You can only review lawyers you've worked with on a completed case",
+      400
+    ));
+  }
+
+  let review;
+  try {
+    review = await Review.create({
+      caseId: case_id,
+      userId: req.user.id,
+      lawyerId,
+      rating,
+      title,
+      comment,
+      isAnonymous: is_anonymous
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return next(new AppError('You have already reviewed this case', 409));
+    }
+    throw error;
+  }
+
+  res.status(201).json(review);
+});
+
+// @desc    Get reviews for a lawyer
+// @route   GET /api/lawyers/:id/reviews
+// @access  Public
+export const getLawyerReviews = catchAsync(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const { total, reviews } = await Review.findByLawyer(req.params.id, { page, limit });
+
+  res.json({
+    results: reviews.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    reviews
+  });
+});
+
+// @desc    Update own review
+// @route   PUT /api/reviews/:id
+// @access  Private (author)
+export const updateReview = catchAsync(async (req, res) => {
+  const { review } = req;
+  const { rating, title, comment, is_anonymous } = req.body;
+  const updatedReview = await Review.update(review, {
+    rating,
+    title,
+    comment,
+    isAnonymous: is_anonymous
+  });
+
+  res.json(updatedReview);
+});
+
+// @desc    Delete review
+// @route   DELETE /api/reviews/:id
+// @access  Private (author, admin)
+export const deleteReview = catchAsync(async (req, res) => {
+  await Review.delete(req.review);
+
+  res.json({ message: 'Review deleted successfully' });
+});
@@ -1,224 +1,362 @@
-const User = require('../models/User');
-const LawyerProfile = require('../models/LawyerProfile');
-const catchAsync = require('../utils/catchAsync');
-const AppError = require('../utils/appError');
-const multer = require('multer');
-const sharp = require('sharp');
-
-// Configure multer for file uploads
-const multerStorage = multer.memoryStorage();
-
-const multerFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image')) {
-    cb(null, true);
-  } else {
-    cb(new AppError('Not an image! Please upload only images.', 400), false);
-  }
+import pool from '../config/db.js';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import APIFeatures, { escapeLike } from '../utils/apiFeatures.js';
+import Email from '../utils/email.js';
+import { signAccessToken } from '../utils/authTokens.js';
+import { getStorage, removeFiles } from '../utils/storage.js';
+import { photoKeyFromFile, photoUrls, savePhoto, removePhoto } from '../utils/photos.js';
+import audit from '../utils/audit.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// User fields admins can list, filter and sort on. Password and reset
+// token columns are never exposed.
+const USER_COLUMNS = {
+  id: 'id',
+  name: 'name',
+  email: 'email',
+  role: 'role',
+  photo: 'photo',
+  active: 'active',
+  suspended: '(suspended_at IS NOT NULL)',
+  suspended_at: 'suspended_at',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
 };
 
-const upload = multer({
-  storage: multerStorage,
-  fileFilter: multerFilter
-});
+const USER_ROLES = ['client', 'lawyer', 'admin'];
 
-exports.uploadUserPhoto = upload.single('photo');
+// Drop internal fields before returning a user's own account
+const formatAccount = user => {
+  const { password_changed_at, suspended_at, ...account } = user;
+  return account;
+};
+
+// @desc    Update the logged in user's profile
+// @route   PATCH /api/users/me
+// @access  Private
+export const updateMe = catchAsync(async (req, res, next) => {
+  // This route is not for password updates
+  if (req.body.password || req.body.current_password) {
+    return next(new AppError(
+      'This route is not for password updates. Please use /api/users/me/password.',
+      400
+    ));
+  }
 
-exports.resizeUserPhoto = catchAsync(async (req, res, next) => {
-  if (!req.file) return next();
+  // A new email only replaces the current one once it has been confirmed
+  const { email } = req.body;
+  const emailChanged = Boolean(email) && email !== req.user.email;
+  if (emailChanged && (await User.findByEmail(email))) {
+    return next(new AppError('That email is already in use', 400));
+  }
 
-  req.file.filename = `user-${req.user.id}-${Date.now()}.jpeg`;
+  await User.updateProfile(req.user.id, req.body);
 
-  await sharp(req.file.buffer)
-    .resize(500, 500)
-    .toFormat('jpeg')
-    .jpeg({ quality: 90 })
-    .toFile(`public/img/users/${req.file.filename}`);
+  if (emailChanged) {
+    const changeToken = await User.requestEmailChange(req.user.id, email);
+    const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+    new Email({ ...req.user, email }, `${baseUrl}/verify-email/${changeToken}`).sendEmailVerification();
+  }
 
-  next();
+  const user = await User.findById(req.user.id);
+  res.json({ ...formatAccount(user), email_verification_sent: emailChanged });
 });
 
-const filterObj = (obj, ...allowedFields) => {
-  const newObj = {};
-  Object.keys(obj).forEach(el => {
-    if (allowedFields.includes(el)) newObj[el] = obj[el];
-  });
-  return newObj;
-};
+// @desc    Confirm an email change with the emailed token
+// @route   POST /api/users/verify-email/:token
+// @access  Public
+export const verifyEmail = catchAsync(async (req, res, next) => {
+  let userId;
+  try {
+    userId = await User.confirmEmailChange(req.params.token);
+  } catch (error) {
+    // Someone else registered the address while the change was pending
+    if (error.code === 'ER_DUP_ENTRY') {
+      return next(new AppError('That email is already in use', 409));
+    }
+    throw error;
+  }
 
-exports.getMe = (req, res, next) => {
-  req.params.id = req.user.id;
-  next();
-};
+  if (!userId) {
+    return next(new AppError('Token is invalid or has expired', 400));
+  }
 
-exports.updateMe = catchAsync(async (req, res, next) => {
-  // 1) Create error if user POSTs password data
-  if (req.body.password || req.body.passwordConfirm) {
-    return next(
-      new AppError(
-        'This route is not for password updates. Please use /updateMyPassword.',
-        400
-      )
-    );
+  const user = await User.findById(userId);
+  res.json(formatAccount(user));
+});
+
+// @desc    Change the logged in user's password
+// @route   PATCH /api/users/me/password
+// @access  Private
+export const updateMyPassword = catchAsync(async (req, res, next) => {
+  const { current_password: currentPassword, password } = req.body;
+
+  if (!(await User.verifyPassword(req.user.id, currentPassword || ''))) {
+    return next(new AppError('Your current password is wrong', 401));
   }
 
-  // 2) Filtered out unwanted fields names that are not allowed to be updated
-  const filteredBody = filterObj(
-    req.body,
-    'name',
-    'email',
-    'phone',
-    'address',
-    'city',
-    'state',
-    'country',
-    'postalCode'
-  );
-  
-  if (req.file) filteredBody.photo = req.file.filename;
-
-  // 3) Update user document
-  const updatedUser = await User.findByIdAndUpdate(req.user.id, filteredBody, {
-    new: true,
-    runValidators: true
-  });
+  await User.updatePassword(req.user.id, password);
+  audit(req, 'user.password_change', { type: 'user', id: req.user.id });
 
-  res.status(200).json({
-    status: 'success',
-    data: {
-      user: updatedUser
+  // Sign out every other device; this one carries on with a fresh token
+  const sessions = await Session.findActiveForUser(req.user.id);
+  for (const session of sessions) {
+    if (session.id !== req.sessionId) {
+      await Session.revoke(session.id);
     }
-  });
-});
-
-exports.deleteMe = catchAsync(async (req, res, next) => {
-  await User.findByIdAndUpdate(req.user.id, { active: false });
+  }
 
-  res.status(204).json({
-    status: 'success',
-    data: null
+  res.json({
+    message: 'Password updated',
+    token: signAccessToken(req.user.id, req.sessionId)
   });
 });
 
-exports.createUser = catchAsync(async (req, res, next) => {
-  res.status(500).json({
-    status: 'error',
-    message: 'This route is not defined! Please use /signup instead'
-  });
-});
+// @desc    Deactivate the logged in user's account
+// @route   DELETE /api/users/me
+// @access  Private
+export const deleteMe = catchAsync(async (req, res, next) => {
+  const connection = await pool.getConnection();
 
-exports.getAllUsers = catchAsync(async (req, res, next) => {
-  const users = await User.find();
+  try {
+    await connection.beginTransaction();
 
-  // SEND RESPONSE
-  res.status(200).json({
-    status: 'success',
-    results: users.length,
-    data: {
-      users
+    // Someone has to be left to run the admin API
+    const activeAdmins = await User.lockActiveAdmins(connection);
+    if (activeAdmins.includes(req.user.id) && activeAdmins.length <= 1) {
+      await connection.rollback();
+      return next(new AppError('The last active admin cannot be deactivated', 400));
     }
-  });
+
+    await User.deactivate(req.user.id, connection);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await Session.revokeAllForUser(req.user.id);
+
+  res.json({ message: 'Account deactivated' });
 });
 
-exports.getUser = catchAsync(async (req, res, next) => {
-  let query = User.findById(req.params.id);
-  
-  if (req.user.role === 'lawyer') {
-    query = query.populate('lawyerProfile');
+// @desc    Upload or replace the logged in user's photo
+// @route   PUT /api/users/me/photo
+// @access  Private
+export const updateMyPhoto = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('Please upload an image in the "photo" field', 400));
   }
-  
-  const user = await query;
 
-  if (!user) {
-    return next(new AppError('No user found with that ID', 404));
+  let photo;
+  try {
+    photo = await savePhoto(req.user.id, req.file.buffer);
+  } catch (err) {
+    // sharp could not decode the upload
+    return next(new AppError('The uploaded file is not a valid image', 400));
   }
 
-  res.status(200).json({
-    status: 'success',
-    data: {
-      user
-    }
-  });
+  const previous = await User.setPhoto(req.user.id, photo);
+  await removePhoto(previous);
+
+  res.json({ photo: photoUrls(photo) });
 });
 
-exports.updateUser = catchAsync(async (req, res, next) => {
-  const user = await User.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+// @desc    Remove the logged in user's photo
+// @route   DELETE /api/users/me/photo
+// @access  Private
+export const deleteMyPhoto = catchAsync(async (req, res) => {
+  const previous = await User.setPhoto(req.user.id, null);
+  await removePhoto(previous);
 
-  if (!user) {
-    return next(new AppError('No user found with that ID', 404));
+  res.json({ photo: null });
+});
+
+// @desc    Serve a stored photo
+// @route   GET /api/users/photos/:file
+// @access  Public
+export const getPhoto = catchAsync(async (req, res, next) => {
+  const key = photoKeyFromFile(req.params.file);
+  if (!key) {
+    return next(new AppError('Photo not found', 404));
   }
 
-  res.status(200).json({
-    status: 'success',
-    data: {
-      user
+  const stream = getStorage().createReadStream(key);
+  stream.on('error', error => {
+    if (!res.headersSent) {
+      next(new AppError('Photo not found', 404));
+    } else {
+      res.destroy(error);
     }
   });
+
+  // Photo names change on every upload, so they never go stale
+  res.type('image/jpeg');
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  stream.pipe(res);
 });
 
-exports.deleteUser = catchAsync(async (req, res, next) => {
-  const user = await User.findByIdAndDelete(req.params.id);
+// @desc    Get all users
+// @route   GET /api/admin/users
+// @access  Private (admin)
+export const getAllUsers = catchAsync(async (req, res) => {
+  const features = new APIFeatures('users', req.query, { columns: USER_COLUMNS });
+
+  // Search by name or email
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (q) {
+    const pattern = `%${escapeLike(q)}%`;
+    features.where('(name LIKE ? OR email LIKE ?)', pattern, pattern);
+  }
+
+  const { rows, total, page, pages } = await features
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate()
+    .execute(pool);
+
+  rows.forEach(row => {
+    if (row.photo !== undefined) {
+      row.photo = photoUrls(row.photo);
+    }
+  });
 
+  res.json({ results: rows.length, total, page, pages, users: rows });
+});
+
+// @desc    Get user by ID
+// @route   GET /api/admin/users/:id
+// @access  Private (admin)
+export const getUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
   if (!user) {
     return next(new AppError('No user found with that ID', 404));
   }
 
-  res.status(204).json({
-    status: 'success',
-    data: null
-  });
+  delete user.password_changed_at;
+  res.json(user);
 });
 
-exports.getLawyerProfile = catchAsync(async (req, res, next) => {
-  const profile = await LawyerProfile.findOne({ user: req.user.id });
+// @desc    Change a user's role or suspend/reinstate them
+// @route   PATCH /api/admin/users/:id
+// @access  Private (admin)
+export const updateUser = catchAsync(async (req, res, next) => {
+  const { role, suspended } = req.body;
 
-  if (!profile) {
-    return next(new AppError('No profile found for this user', 404));
+  if (role === undefined && suspended === undefined) {
+    return next(new AppError('Nothing to update; send role and/or suspended', 400));
   }
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    return next(new AppError(`Role must be one of: ${USER_ROLES.join(', ')}`, 400));
+  }
+
+  const connection = await pool.getConnection();
+
+  // Roll back and pass an error on
+  const refuse = async (code, message) => {
+    await connection.rollback();
+    return next(new AppError(message, code));
+  };
+
+  try {
+    await connection.beginTransaction();
 
-  res.status(200).json({
-    status: 'success',
-    data: {
-      profile
+    const activeAdmins = await User.lockActiveAdmins(connection);
+    const [users] = await connection.execute('SELECT * FROM users WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (users.length === 0) {
+      return refuse(404, 'No user found with that ID');
     }
-  });
-});
 
-exports.createOrUpdateLawyerProfile = catchAsync(async (req, res, next) => {
-  if (req.user.role !== 'lawyer') {
-    return next(
-      new AppError('Only lawyers can create or update a lawyer profile', 403)
-    );
-  }
+    const user = users[0];
+    const losesAdmin =
+      activeAdmins.includes(user.id) && ((role && role !== 'admin') || suspended === true);
+    if (losesAdmin && activeAdmins.length <= 1) {
+      return refuse(400, 'The last active admin cannot be demoted or suspended');
+    }
 
-  const profileData = {
-    user: req.user.id,
-    ...req.body
-  };
+    if (role !== undefined) {
+      await User.updateRole(user.id, role, connection);
+    }
+    if (suspended !== undefined) {
+      await User.setSuspended(user.id, Boolean(suspended), connection);
+    }
 
-  let profile = await LawyerProfile.findOne({ user: req.user.id });
+    await connection.commit();
 
-  if (profile) {
-    // Update existing profile
-    profile = await LawyerProfile.findOneAndUpdate(
-      { user: req.user.id },
-      profileData,
-      {
-        new: true,
-        runValidators: true
+    audit(req, 'user.update', { type: 'user', id: user.id }, {
+      before: { role: user.role, suspended: Boolean(user.suspended_at) },
+      after: {
+        role: role ?? user.role,
+        suspended: suspended === undefined ? Boolean(user.suspended_at) : Boolean(suspended)
       }
-    );
-  } else {
-    // Create new profile
-    profile = await LawyerProfile.create(profileData);
+    });
+
+    // Suspended users are signed out everywhere
+    if (suspended === true) {
+      await Session.revokeAllForUser(user.id);
+    }
+
+    const updatedUser = await User.findById(user.id);
+    delete updatedUser.password_changed_at;
+    res.json(updatedUser);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
+});
+
+// @desc    Delete a user
+// @route   DELETE /api/admin/users/:id
+// @access  Private (admin)
+export const deleteUser = catchAsync(async (req, res, next) => {
+  const connection = await pool.getConnection();
 
-  res.status(200).json({
-    status: 'success',
-    data: {
-      profile
+  try {
+    await connection.beginTransaction();
+
+    const activeAdmins = await User.lockActiveAdmins(connection);
+    const [users] = await connection.execute(
+      'SELECT id, name, email, role, photo, created_at FROM users WHERE id = ? FOR UPDATE',
+      [req.params.id]
+    );
+    if (users.length === 0) {
+      await connection.rollback();
+      return next(new AppError('No user found with that ID', 404));
     }
-  });
+
+    if (activeAdmins.includes(users[0].id) && activeAdmins.length <= 1) {
+      await connection.rollback();
+      return next(new AppError('The last active admin cannot be deleted', 400));
+    }
+
+    // Deleting cascades to the user's cases, documents and license proofs;
+    // their files are removed once the rows are gone
+    const [files] = await connection.execute(
+      `SELECT path FROM documents
+       WHERE uploaded_by = ? OR case_id IN (SELECT id FROM cases WHERE user_id = ?)
+       UNION
+       SELECT proof_path FROM license_verifications WHERE lawyer_id = ?`,
+      [users[0].id, users[0].id, users[0].id]
+    );
+
+    await User.delete(users[0].id, connection);
+    await connection.commit();
+    await removeFiles(files.map(file => file.path));
+    await removePhoto(users[0].photo);
+    audit(req, 'user.delete', { type: 'user', id: users[0].id }, { before: users[0] });
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
 });
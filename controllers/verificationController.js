@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+import path from 'path';
+import LicenseVerification from '../models/LicenseVerification.js';
+import notify from '../utils/notify.js';
+import { getStorage } from '../utils/storage.js';
+import audit from '../utils/audit.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+export const VERIFICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// @desc    Submit license details and proof for verification
+// @route   POST /api/lawyers/me/verification
+// @access  Private (lawyer)
+export const submitVerification = catchAsync(async (req, res, next) => {
+  const { license_number: licenseNumber, license_state: licenseState } = req.body;
+  if (!licenseNumber || !licenseState) {
+    return next(new AppError('License number and state are required', 400));
+  }
+
+  if (!req.file) {
+    return next(new AppError('Please attach proof of your license', 400));
+  }
+
+  if (await LicenseVerification.hasPending(req.user.id)) {
+    return next(new AppError('You already have a verification request waiting for review', 400));
+  }
+
+  const extension = path.extname(req.file.originalname).toLowerCase();
+  const key = `verifications/${req.user.id}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+
+  const storage = getStorage();
+  await storage.save(key, req.file.buffer);
+
+  let verification;
+  try {
+    verification = await LicenseVerification.create({
+      lawyerId: req.user.id,
+      licenseNumber,
+      licenseState,
+      proof: {
+        name: req.file.originalname,
+        path: key,
+        size: req.file.size,
+        type: req.file.mimetype
+      }
+    });
+  } catch (error) {
+    // Don't leave an orphaned file behind
+    await storage.remove(key);
+    throw error;
+  }
+
+  res.status(201).json(LicenseVerification.format(verification));
+});
+
+// @desc    Get logged in lawyer's verification requests
+// @route   GET /api/lawyers/me/verification
+// @access  Private (lawyer)
+export const getMyVerifications = catchAsync(async (req, res) => {
+  const verifications = await LicenseVerification.findByLawyer(req.user.id);
+  res.json(verifications.map(LicenseVerification.format));
+});
+
+// @desc    Get the verification queue (pending by default)
+// @route   GET /api/admin/verifications
+// @access  Private (admin)
+export const getVerifications = catchAsync(async (req, res, next) => {
+  const status = req.query.status || 'pending';
+  if (!VERIFICATION_STATUSES.includes(status)) {
+    return next(new AppError(`Status must be one of: ${VERIFICATION_STATUSES.join(', ')}`, 400));
+  }
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const { total, verifications } = await LicenseVerification.findByStatus(status, { page, limit });
+
+  res.json({
+    results: verifications.length,
+    total,
+    page,
+    pages: Math.ceil(total / limit),
+    verifications: verifications.map(LicenseVerification.format)
+  });
+});
+
+// @desc    Download the proof attached to a verification request
+// @route   GET /api/admin/verifications/:id/proof
+// @access  Private (admin)
+export const downloadProof = catchAsync(async (req, res, next) => {
+  const verification = await LicenseVerification.findById(req.params.id);
+  if (!verification) {
+    return next(new AppError('Verification request not found', 404));
+  }
+
+  const stream = getStorage().createReadStream(verification.proof_path);
+  stream.on('error', error => {
+    console.error(error);
+    if (!res.headersSent) {
+      next(new AppError('Proof file not found', 404));
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  audit(req, 'verification.proof_download', { type: 'verification', id: verification.id });
+
+  res.attachment(verification.proof_name);
+  res.type(verification.proof_type);
+  res.set('Content-Length', verification.proof_size);
+  stream.pipe(res);
+});
+
+// @desc    Approve or reject a verification request
+// @route   PUT /api/admin/verifications/:id
+// @access  Private (admin)
+export const reviewVerification = catchAsync(async (req, res, next) => {
+  const { decision, reason } = req.body;
+  if (!['approved', 'rejected'].includes(decision)) {
+    return next(new AppError('Decision must be approved or rejected', 400));
+  }
+  if (decision === 'rejected' && !reason) {
+    return next(new AppError('Please give a reason for the rejection', 400));
+  }
+
+  const { verification, status, message } = await LicenseVerification.review(
+    req.params.id,
+    req.user.id,
+    decision,
+    reason
+  );
+  if (!verification) {
+    return next(new AppError(message, status));
+  }
+
+  audit(req, 'verification.review', { type: 'verification', id: verification.id }, {
+    before: { status: 'pending' },
+    after: { status: decision, lawyer_id: verification.lawyer_id, reason: reason || null }
+  });
+
+  notify(verification.lawyer_id, 'license_verification', {
+    title:
+      decision === 'approved'
+        ? 'Your license has been verified'
+        : 'Your license verification was rejected',
+    body:
+      decision === 'approved'
+        ? 'Your profile now shows the verified badge and you can bid on cases.'
+        : `Reason: ${reason}`,
+    data: { verification_id: verification.id, status: decision },
+    path: '/profile'
+  });
+
+  res.json(LicenseVerification.format(verification));
+});
@@ -1,68 +0,0 @@
-﻿-- Create the database if it doesn't exist
-CREATE DATABASE IF NOT EXISTS lawconnect_db;
-
--- Use the database
-USE lawconnect_db;
-
--- Users table
-CREATE TABLE IF NOT EXISTS users (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  name VARCHAR(100) NOT NULL,
-  email VARCHAR(100) UNIQUE NOT NULL,
-  password VARCHAR(255) NOT NULL,
-  role ENUM('client', 'lawyer', 'admin') DEFAULT 'client',
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-
--- Cases table
-CREATE TABLE IF NOT EXISTS cases (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  user_id INT NOT NULL,
-  title VARCHAR(255) NOT NULL,
-  description TEXT,
-  status ENUM('open', 'in_progress', 'closed') DEFAULT 'open',
-  category VARCHAR(100),
-  currency VARCHAR(10) DEFAULT 'USD',
-  budget DECIMAL(10,2),
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-
--- Bids table
-CREATE TABLE IF NOT EXISTS bids (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  case_id INT NOT NULL,
-  lawyer_id INT NOT NULL,
-  amount DECIMAL(10,2) NOT NULL,
-  currency VARCHAR(10) DEFAULT 'USD',
-  message TEXT,
-  status ENUM('pending', 'accepted', 'rejected') DEFAULT 'pending',
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE,
-  FOREIGN KEY (lawyer_id) REFERENCES users(id) ON DELETE CASCADE
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-
--- Documents table
-CREATE TABLE IF NOT EXISTS documents (
-  id INT AUTO_INCREMENT PRIMARY KEY,
-  case_id INT NOT NULL,
-  name VARCHAR(255) NOT NULL,
-  path VARCHAR(255) NOT NULL,
-  size INT NOT NULL,
-  type VARCHAR(100) NOT NULL,
-  uploaded_by INT NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE,
-  FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE CASCADE
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-
--- Create an admin user (password: admin123)
-INSERT IGNORE INTO users (name, email, password, role) VALUES (
-  'Admin User',
-  'admin@example.com',
-  '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', -- bcrypt hash of 'admin123'
-  'admin'
-);
@@ -1,5 +1,44 @@
 ﻿import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import AppError from '../utils/appError.js';
+
+// Verify an access token and load its user. Resolves to { user, sessionId,
+// expiresAt } (expiresAt in milliseconds since the epoch), or { message } when
+// the token has to be rejected.
+export const verifyToken = async token => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return { message: 'Token is not valid' };
+  }
+
+  const user = await User.findById(decoded.user.id);
+  if (!user) {
+    return { message: 'User no longer exists' };
+  }
+
+  if (!user.active) {
+    return { message: 'This account has been deactivated' };
+  }
+
+  if (user.suspended_at) {
+    return { message: 'Your account has been suspended' };
+  }
+
+  // Reject tokens issued before the last password change
+  if (User.changedPasswordAfter(user, decoded.iat)) {
+    return { message: 'Password was changed recently, please log in again' };
+  }
+
+  // Tokens are tied to a session, which is revoked on logout
+  if (!decoded.sid || !(await Session.isActive(decoded.sid, user.id))) {
+    return { message: 'Session has ended, please log in again' };
+  }
+
+  return { user, sessionId: decoded.sid, expiresAt: decoded.exp * 1000 };
+};
 
 export default async function(req, res, next) {
   // Get token from header
@@ -7,7 +46,7 @@ export default async function(req, res, next) {
   
   // Check if no token
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ message: 'No token, authorization denied' });
+    return next(new AppError('No token, authorization denied', 401));
   }
 
   // Extract token from "Bearer <token>"
@@ -15,12 +54,16 @@ export default async function(req, res, next) {
 
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.user.id);
+    const { user, sessionId, message } = await verifyToken(token);
+    if (!user) {
+      return next(new AppError(message, 401));
+    }
+
+    req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (err) {
-    console.error('Auth middleware error:', err);
-    res.status(401).json({ message: 'Token is not valid' });
+    next(err);
   }
 }
 
@@ -29,9 +72,7 @@ export const authorize = (...roles) => {
   return (req, res, next) => {
     const userRole = req.user?.role || 'undefined';
     if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({
-        message: `User role ${userRole} is not authorized to access this route`
-      });
+      return next(new AppError(`User role ${userRole} is not authorized to access this route`, 403));
     }
     next();
   };
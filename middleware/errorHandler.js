@@ -0,0 +1,65 @@
+import AppError from '../utils/appError.js';
+
+// MySQL errors caused by the request rather than the server
+const MYSQL_ERRORS = {
+  ER_DUP_ENTRY: [409, 'DUPLICATE_ENTRY', 'That record already exists'],
+  ER_NO_REFERENCED_ROW_2: [400, 'INVALID_REFERENCE', 'A referenced record does not exist'],
+  ER_ROW_IS_REFERENCED_2: [409, 'RECORD_IN_USE', 'That record is still in use'],
+  ER_DATA_TOO_LONG: [400, 'VALUE_TOO_LONG', 'A value is too long'],
+  ER_TRUNCATED_WRONG_VALUE: [400, 'INVALID_VALUE', 'A value has the wrong format'],
+  ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: [400, 'INVALID_VALUE', 'A value has the wrong format'],
+  ER_WARN_DATA_OUT_OF_RANGE: [400, 'INVALID_VALUE', 'A value is out of range'],
+  WARN_DATA_TRUNCATED: [400, 'INVALID_VALUE', 'A value is not allowed'],
+  ER_BAD_NULL_ERROR: [400, 'MISSING_VALUE', 'A required value is missing'],
+  ER_CHECK_CONSTRAINT_VIOLATED: [400, 'INVALID_VALUE', 'A value is not allowed']
+};
+
+// Turn anything thrown or passed to next() into an AppError
+const toAppError = err => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  if (MYSQL_ERRORS[err.code]) {
+    const [statusCode, code, message] = MYSQL_ERRORS[err.code];
+    return new AppError(message, statusCode, { code });
+  }
+
+  // Raised by express.json()
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', 400, { code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', 413);
+  }
+
+  return null;
+};
+
+// Unknown routes
+export const notFound = (req, res, next) => {
+  next(new AppError(`Cannot ${req.method} ${req.originalUrl}`, 404, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Every error response has the same shape:
+//   { status: 'fail' | 'error', code, message, errors?: [{ field, location, message }] }
+// Unexpected errors are logged and reported as a generic 500. Express spots
+// error middleware by its four arguments, so `next` must stay.
+export default (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
+  if (!error) {
+    console.error(err);
+    return res.status(500).json({ status: 'error', code: 'INTERNAL_ERROR', message: 'Server error' });
+  }
+
+  res.status(error.statusCode).json({
+    status: error.status,
+    code: error.code,
+    message: error.message,
+    ...(error.errors && { errors: error.errors })
+  });
+};
@@ -0,0 +1,25 @@
+import Policy from '../models/Policy.js';
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+
+// Load the resource named by a route parameter and check the logged in user
+// may act on it (see POLICIES). The controller finds the resource on
+// req[resource] and the user's relationships to it on req.relations.
+export default function can(resource, action, param = 'id') {
+  return catchAsync(async (req, res, next) => {
+    const item = await Policy.load(resource, req.params[param]);
+    if (!item) {
+      const name = resource.charAt(0).toUpperCase() + resource.slice(1);
+      return next(new AppError(`${name} not found`, 404));
+    }
+
+    const relations = await Policy.relationsTo(resource, item, req.user);
+    if (!Policy.allows(resource, action, relations)) {
+      return next(new AppError(`Not authorized to access this ${resource}`, 403));
+    }
+
+    req[resource] = item;
+    req.relations = relations;
+    next();
+  });
+}
@@ -0,0 +1,146 @@
+import AppError from '../utils/appError.js';
+import catchAsync from '../utils/catchAsync.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+const minutes = n => n * 60 * 1000;
+
+const secondsUntil = time => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Emails are counted case-insensitively so "A@x.com" and "a@x.com" share a limit
+const accountKey = email => (typeof email === 'string' ? email.trim().toLowerCase() : null);
+
+// Limit each key to `max` requests per `windowMs`. `key` picks what is counted
+// (the client IP by default); requests it gives no key for are not limited.
+// Responses carry RateLimit-Limit/-Remaining/-Reset headers for the tightest
+// limit on the route, and Retry-After once it is exceeded.
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = req => req.ip,
+  message = 'Too many requests, please try again later'
+}) =>
+  catchAsync(async (req, res, next) => {
+    const id = key(req);
+    if (!id) {
+      return next();
+    }
+
+    const { count, resetAt } = await getRateLimitStore().increment(`${name}:${id}`, windowMs);
+    const remaining = Math.max(0, max - count);
+
+    if (res.locals.rateLimitRemaining === undefined || remaining < res.locals.rateLimitRemaining) {
+      res.locals.rateLimitRemaining = remaining;
+      res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(secondsUntil(resetAt))
+      });
+    }
+
+    if (count > max) {
+      res.set('Retry-After', String(secondsUntil(resetAt)));
+      return next(new AppError(message, 429));
+    }
+
+    next();
+  });
+
+// Every API request, per IP
+export const apiLimiter = rateLimit({ name: 'api', windowMs: minutes(15), max: 600 });
+
+// Login attempts, per IP and per account
+export const loginLimiter = [
+  rateLimit({
+    name: 'login-ip',
+    windowMs: minutes(15),
+    max: 20,
+    message: 'Too many login attempts, please try again later'
+  }),
+  rateLimit({
+    name: 'login-account',
+    windowMs: minutes(15),
+    max: 10,
+    key: req => accountKey(req.body.email),
+    message: 'Too many login attempts, please try again later'
+  })
+];
+
+// Account sign-ups, per IP
+export const registerLimiter = rateLimit({
+  name: 'register',
+  windowMs: minutes(60),
+  max: 5,
+  message: 'Too many accounts created from this address, please try again later'
+});
+
+// Password reset emails, per IP
+export const passwordResetLimiter = rateLimit({
+  name: 'password-reset',
+  windowMs: minutes(60),
+  max: 5,
+  message: 'Too many password reset requests, please try again later'
+});
+
+// New bids, per lawyer: a short burst limit and a daily cap
+export const bidLimiter = [
+  rateLimit({
+    name: 'bid-burst',
+    windowMs: minutes(10),
+    max: 5,
+    key: req => req.user.id,
+    message: 'You are bidding too quickly, please wait a few minutes'
+  }),
+  rateLimit({
+    name: 'bid-daily',
+    windowMs: minutes(24 * 60),
+    max: 30,
+    key: req => req.user.id,
+    message: 'You have reached the daily bid limit, please try again tomorrow'
+  })
+];
+
+// Failed logins are counted per account for a day. From the fifth on, each
+// failure locks the account for twice as long as the one before: 1, 2, 4 ...
+// minutes, up to an hour. A successful login clears the count.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = minutes(1);
+const LOCKOUT_MAX_MS = minutes(60);
+const FAILURE_WINDOW_MS = minutes(24 * 60);
+
+// Refuse logins to an account that is locked out
+export const loginLockout = catchAsync(async (req, res, next) => {
+  const email = accountKey(req.body.email);
+  const lock = email && (await getRateLimitStore().get(`login-lock:${email}`));
+  if (lock) {
+    res.set('Retry-After', String(secondsUntil(lock.resetAt)));
+    return next(new AppError(
+      'Too many failed login attempts, please try again later',
+      429,
+      { code: 'ACCOUNT_LOCKED' }
+    ));
+  }
+  next();
+});
+
+// Count a failed login, locking the account once there have been too many.
+// Counted whether or not the account exists, so lockouts don't reveal it.
+export const recordLoginFailure = async email => {
+  const store = getRateLimitStore();
+  const account = accountKey(email);
+
+  const { count } = await store.increment(`login-failures:${account}`, FAILURE_WINDOW_MS);
+  if (count >= LOCKOUT_THRESHOLD) {
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+    await store.set(`login-lock:${account}`, 1, lockMs);
+  }
+};
+
+// Forget an account's failed logins after it logs in
+export const clearLoginFailures = async email => {
+  const store = getRateLimitStore();
+  const account = accountKey(email);
+
+  await store.reset(`login-failures:${account}`);
+  await store.reset(`login-lock:${account}`);
+};
@@ -0,0 +1,78 @@
+import multer from 'multer';
+import AppError from '../utils/appError.js';
+
+export const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/plain',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp'
+];
+
+const maxDocumentSize = () => (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxDocumentSize(), files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE_TYPE', file.fieldname));
+    }
+  }
+});
+
+export const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const maxPhotoSize = () => (parseInt(process.env.MAX_PHOTO_SIZE_MB, 10) || 5) * 1024 * 1024;
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: maxPhotoSize(), files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (PHOTO_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE_TYPE', file.fieldname));
+    }
+  }
+});
+
+// Run a multer middleware and turn upload errors into AppErrors
+const handleUpload = (middleware, maxSize) => (req, res, next) => {
+  middleware(req, res, err => {
+    if (!err) {
+      return next();
+    }
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new AppError(
+        `File is too large. Maximum size is ${maxSize() / (1024 * 1024)} MB`,
+        413,
+        { code: 'FILE_TOO_LARGE' }
+      ));
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE_TYPE') {
+      return next(new AppError('File type is not allowed', 415, { code: 'UNSUPPORTED_FILE_TYPE' }));
+    }
+    if (err instanceof multer.MulterError) {
+      return next(new AppError(err.message, 400, { code: 'UPLOAD_ERROR' }));
+    }
+    next(err);
+  });
+};
+
+// Accept a single document in the "file" field
+export const uploadDocument = handleUpload(documentUpload.single('file'), maxDocumentSize);
+
+// Accept a license proof (same file types as documents) in the "proof" field
+export const uploadProof = handleUpload(documentUpload.single('proof'), maxDocumentSize);
+
+// Accept a single image in the "photo" field
+export const uploadPhoto = handleUpload(photoUpload.single('photo'), maxPhotoSize);
@@ -0,0 +1,21 @@
+import { validationResult } from 'express-validator';
+import AppError from '../utils/appError.js';
+
+// Enforce the check() chains that come before it in a route, failing with a
+// 400 that lists every invalid field (first message per field)
+const validate = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) {
+    return next();
+  }
+
+  const errors = result.array({ onlyFirstError: true }).map(error => ({
+    field: error.path,
+    location: error.location,
+    message: error.msg
+  }));
+
+  next(new AppError('Invalid input', 400, { code: 'VALIDATION_ERROR', errors }));
+};
+
+export default validate;
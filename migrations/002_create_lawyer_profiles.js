@@ -0,0 +1,86 @@
+export const up = async db => {
+  // Lawyer profiles table
+  await db.query(`
+    CREATE TABLE lawyer_profiles (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT UNIQUE NOT NULL,
+      bio TEXT,
+      experience INT UNSIGNED,
+      license_number VARCHAR(100),
+      license_state VARCHAR(100),
+      license_verified BOOLEAN DEFAULT FALSE,
+      hourly_rate DECIMAL(10,2),
+      address VARCHAR(255),
+      city VARCHAR(100),
+      state VARCHAR(100),
+      country VARCHAR(100),
+      zip_code VARCHAR(20),
+      latitude DECIMAL(10,7),
+      longitude DECIMAL(10,7),
+      availability JSON,
+      website VARCHAR(255),
+      linkedin VARCHAR(255),
+      twitter VARCHAR(255),
+      facebook VARCHAR(255),
+      instagram VARCHAR(255),
+      is_verified BOOLEAN DEFAULT FALSE,
+      is_available BOOLEAN DEFAULT TRUE,
+      consultation_fee DECIMAL(10,2) DEFAULT 0,
+      payment_methods SET('credit_card', 'paypal', 'bank_transfer', 'crypto'),
+      ratings_average DECIMAL(2,1) DEFAULT 0,
+      ratings_quantity INT DEFAULT 0,
+      completed_cases INT DEFAULT 0,
+      response_time INT DEFAULT 24,
+      is_profile_complete BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Lawyer specializations table
+  await db.query(`
+    CREATE TABLE lawyer_specializations (
+      user_id INT NOT NULL,
+      specialization ENUM(
+        'Family Law', 'Criminal Law', 'Corporate Law', 'Intellectual Property', 'Real Estate',
+        'Immigration', 'Employment', 'Tax', 'Bankruptcy', 'Other'
+      ) NOT NULL,
+      PRIMARY KEY (user_id, specialization),
+      FOREIGN KEY (user_id) REFERENCES lawyer_profiles(user_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Lawyer education table
+  await db.query(`
+    CREATE TABLE lawyer_education (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      degree VARCHAR(255) NOT NULL,
+      institution VARCHAR(255) NOT NULL,
+      field_of_study VARCHAR(255) NOT NULL,
+      from_date DATE NOT NULL,
+      to_date DATE,
+      current BOOLEAN DEFAULT FALSE,
+      description TEXT,
+      FOREIGN KEY (user_id) REFERENCES lawyer_profiles(user_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Lawyer languages table
+  await db.query(`
+    CREATE TABLE lawyer_languages (
+      user_id INT NOT NULL,
+      language VARCHAR(100) NOT NULL,
+      proficiency ENUM('Basic', 'Conversational', 'Fluent', 'Native') DEFAULT 'Basic',
+      PRIMARY KEY (user_id, language),
+      FOREIGN KEY (user_id) REFERENCES lawyer_profiles(user_id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async db => {
+  for (const table of ['lawyer_languages', 'lawyer_education', 'lawyer_specializations', 'lawyer_profiles']) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
@@ -0,0 +1,22 @@
+// Indexes behind the lawyer directory search
+export const up = async db => {
+  await db.query(`
+    ALTER TABLE lawyer_profiles
+      ADD FULLTEXT INDEX ft_lawyer_bio (bio),
+      ADD INDEX idx_lawyer_rate (hourly_rate),
+      ADD INDEX idx_lawyer_rating (ratings_average),
+      ADD INDEX idx_lawyer_coordinates (latitude, longitude)
+  `);
+  await db.query('ALTER TABLE lawyer_education ADD FULLTEXT INDEX ft_education (institution, field_of_study)');
+};
+
+export const down = async db => {
+  await db.query('ALTER TABLE lawyer_education DROP INDEX ft_education');
+  await db.query(`
+    ALTER TABLE lawyer_profiles
+      DROP INDEX ft_lawyer_bio,
+      DROP INDEX idx_lawyer_rate,
+      DROP INDEX idx_lawyer_rating,
+      DROP INDEX idx_lawyer_coordinates
+  `);
+};
@@ -0,0 +1,26 @@
+export const up = async db => {
+  await db.query(`
+    CREATE TABLE reviews (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      case_id INT NOT NULL,
+      user_id INT NOT NULL,
+      lawyer_id INT NOT NULL,
+      rating TINYINT UNSIGNED NOT NULL,
+      title VARCHAR(100) NOT NULL,
+      comment TEXT NOT NULL,
+      is_anonymous BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_review_case_user (case_id, user_id),
+      INDEX idx_review_lawyer (lawyer_id, created_at),
+      CHECK (rating BETWEEN 1 AND 5),
+      FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (lawyer_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async db => {
+  await db.query('DROP TABLE IF EXISTS reviews');
+};
@@ -0,0 +1,19 @@
+export const up = async db => {
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN password_changed_at TIMESTAMP NULL AFTER role,
+      ADD COLUMN password_reset_token CHAR(64) NULL AFTER password_changed_at,
+      ADD COLUMN password_reset_expires DATETIME NULL AFTER password_reset_token,
+      ADD INDEX idx_password_reset_token (password_reset_token)
+  `);
+};
+
+export const down = async db => {
+  await db.query(`
+    ALTER TABLE users
+      DROP INDEX idx_password_reset_token,
+      DROP COLUMN password_reset_expires,
+      DROP COLUMN password_reset_token,
+      DROP COLUMN password_changed_at
+  `);
+};
@@ -0,0 +1,44 @@
+// Cases end as "completed" or "cancelled" instead of "closed". The enum is
+// widened first so existing closed cases can be moved to "completed" before
+// "closed" is dropped.
+export const up = async db => {
+  await db.query(`
+    ALTER TABLE cases
+      MODIFY status ENUM('open', 'in_progress', 'closed', 'completed', 'cancelled') DEFAULT 'open'
+  `);
+  await db.query("UPDATE cases SET status = 'completed' WHERE status = 'closed'");
+  await db.query(`
+    ALTER TABLE cases
+      MODIFY status ENUM('open', 'in_progress', 'completed', 'cancelled') DEFAULT 'open'
+  `);
+
+  // Case status history table
+  await db.query(`
+    CREATE TABLE case_status_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      case_id INT NOT NULL,
+      from_status ENUM('open', 'in_progress', 'completed', 'cancelled'),
+      to_status ENUM('open', 'in_progress', 'completed', 'cancelled') NOT NULL,
+      changed_by INT,
+      note VARCHAR(500),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_history_case (case_id, created_at),
+      FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async db => {
+  await db.query('DROP TABLE IF EXISTS case_status_history');
+
+  await db.query(`
+    ALTER TABLE cases
+      MODIFY status ENUM('open', 'in_progress', 'closed', 'completed', 'cancelled') DEFAULT 'open'
+  `);
+  await db.query("UPDATE cases SET status = 'closed' WHERE status IN ('completed', 'cancelled')");
+  await db.query(`
+    ALTER TABLE cases
+      MODIFY status ENUM('open', 'in_progress', 'closed') DEFAULT 'open'
+  `);
+};
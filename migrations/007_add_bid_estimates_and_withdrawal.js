@@ -0,0 +1,22 @@
+export const up = async db => {
+  await db.query(`
+    ALTER TABLE bids
+      ADD COLUMN estimated_time_value INT UNSIGNED AFTER message,
+      ADD COLUMN estimated_time_unit ENUM('hours', 'days', 'weeks', 'months') AFTER estimated_time_value,
+      MODIFY status ENUM('pending', 'accepted', 'rejected', 'withdrawn') DEFAULT 'pending',
+      ADD INDEX idx_bids_lawyer_status (lawyer_id, status)
+  `);
+};
+
+// Withdrawn bids have no equivalent in the old enum and are removed
+export const down = async db => {
+  await db.query("DELETE FROM bids WHERE status = 'withdrawn'");
+  await db.query(`
+    ALTER TABLE bids
+      ADD INDEX idx_bids_lawyer (lawyer_id),
+      DROP INDEX idx_bids_lawyer_status,
+      MODIFY status ENUM('pending', 'accepted', 'rejected') DEFAULT 'pending',
+      DROP COLUMN estimated_time_unit,
+      DROP COLUMN estimated_time_value
+  `);
+};
@@ -0,0 +1,13 @@
+// The bid accepted on a case. No foreign key, as bids refer back to cases.
+export const up = async db => {
+  await db.query('ALTER TABLE cases ADD COLUMN accepted_bid_id INT NULL AFTER budget');
+  await db.query(`
+    UPDATE cases c
+    JOIN bids b ON b.case_id = c.id AND b.status = 'accepted'
+    SET c.accepted_bid_id = b.id
+  `);
+};
+
+export const down = async db => {
+  await db.query('ALTER TABLE cases DROP COLUMN accepted_bid_id');
+};
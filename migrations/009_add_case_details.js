@@ -0,0 +1,17 @@
+export const up = async db => {
+  await db.query(`
+    ALTER TABLE cases
+      ADD COLUMN deadline DATETIME AFTER budget,
+      ADD COLUMN location VARCHAR(255) AFTER deadline,
+      ADD COLUMN is_remote BOOLEAN DEFAULT FALSE AFTER location
+  `);
+};
+
+export const down = async db => {
+  await db.query(`
+    ALTER TABLE cases
+      DROP COLUMN is_remote,
+      DROP COLUMN location,
+      DROP COLUMN deadline
+  `);
+};
@@ -0,0 +1,9 @@
+// Indexes behind the case keyword search and its filters
+export const up = async db => {
+  await db.query('ALTER TABLE cases ADD FULLTEXT INDEX ft_cases_text (title, description)');
+  await db.query('ALTER TABLE cases ADD INDEX idx_cases_status_category (status, category)');
+};
+
+export const down = async db => {
+  await db.query('ALTER TABLE cases DROP INDEX idx_cases_status_category, DROP INDEX ft_cases_text');
+};
@@ -0,0 +1,49 @@
+export const up = async db => {
+  // Conversations table (one per case and lawyer)
+  await db.query(`
+    CREATE TABLE conversations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      case_id INT NOT NULL,
+      lawyer_id INT NOT NULL,
+      last_message_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_conversation_case_lawyer (case_id, lawyer_id),
+      INDEX idx_conversation_lawyer (lawyer_id, last_message_at),
+      FOREIGN KEY (case_id) REFERENCES cases(id) ON DELETE CASCADE,
+      FOREIGN KEY (lawyer_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Messages table
+  await db.query(`
+    CREATE TABLE messages (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      conversation_id INT NOT NULL,
+      sender_id INT NOT NULL,
+      body TEXT NOT NULL,
+      read_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_messages_conversation (conversation_id, id),
+      INDEX idx_messages_unread (conversation_id, sender_id, read_at),
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Message attachments table (links messages to case documents)
+  await db.query(`
+    CREATE TABLE message_attachments (
+      message_id INT NOT NULL,
+      document_id INT NOT NULL,
+      PRIMARY KEY (message_id, document_id),
+      FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async db => {
+  for (const table of ['message_attachments', 'messages', 'conversations']) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
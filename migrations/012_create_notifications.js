@@ -0,0 +1,34 @@
+export const up = async db => {
+  // Notifications table
+  await db.query(`
+    CREATE TABLE notifications (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      body TEXT,
+      data JSON,
+      read_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_notifications_user (user_id, read_at, created_at),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Notification preferences table (rows only for events the user changed)
+  await db.query(`
+    CREATE TABLE notification_preferences (
+      user_id INT NOT NULL,
+      event_type VARCHAR(50) NOT NULL,
+      in_app BOOLEAN NOT NULL DEFAULT TRUE,
+      email BOOLEAN NOT NULL DEFAULT FALSE,
+      PRIMARY KEY (user_id, event_type),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async db => {
+  await db.query('DROP TABLE IF EXISTS notification_preferences');
+  await db.query('DROP TABLE IF EXISTS notifications');
+};
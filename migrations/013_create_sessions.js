@@ -0,0 +1,25 @@
+// One row per logged in device, holding its refresh token
+export const up = async db => {
+  await db.query(`
+    CREATE TABLE sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      refresh_token_hash CHAR(64) NOT NULL,
+      previous_token_hash CHAR(64) NULL,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_sessions_refresh_token (refresh_token_hash),
+      INDEX idx_sessions_previous_token (previous_token_hash),
+      INDEX idx_sessions_user (user_id, revoked_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async db => {
+  await db.query('DROP TABLE IF EXISTS sessions');
+};
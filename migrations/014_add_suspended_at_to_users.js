@@ -0,0 +1,7 @@
+export const up = async db => {
+  await db.query('ALTER TABLE users ADD COLUMN suspended_at DATETIME NULL AFTER password_reset_expires');
+};
+
+export const down = async db => {
+  await db.query('ALTER TABLE users DROP COLUMN suspended_at');
+};
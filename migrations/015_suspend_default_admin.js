@@ -0,0 +1,20 @@
+// The original database.sql created admin@example.com with a published
+// password hash. Its comment said "admin123", but the hash is for "password".
+// Suspend that account wherever the password was never changed; `npm run seed`
+// creates an admin from credentials in the environment.
+const DEFAULT_ADMIN_EMAIL = 'admin@example.com';
+const DEFAULT_ADMIN_HASH = '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi';
+
+export const up = async db => {
+  await db.query(
+    'UPDATE users SET suspended_at = NOW() WHERE email = ? AND password = ? AND suspended_at IS NULL',
+    [DEFAULT_ADMIN_EMAIL, DEFAULT_ADMIN_HASH]
+  );
+};
+
+export const down = async db => {
+  await db.query(
+    'UPDATE users SET suspended_at = NULL WHERE email = ? AND password = ?',
+    [DEFAULT_ADMIN_EMAIL, DEFAULT_ADMIN_HASH]
+  );
+};
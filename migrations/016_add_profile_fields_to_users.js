@@ -0,0 +1,34 @@
+// Contact details, self-service deactivation and email changes
+export const up = async db => {
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN phone VARCHAR(30) AFTER role,
+      ADD COLUMN address VARCHAR(255) AFTER phone,
+      ADD COLUMN city VARCHAR(100) AFTER address,
+      ADD COLUMN state VARCHAR(100) AFTER city,
+      ADD COLUMN country VARCHAR(100) AFTER state,
+      ADD COLUMN postal_code VARCHAR(20) AFTER country,
+      ADD COLUMN active BOOLEAN NOT NULL DEFAULT TRUE AFTER postal_code,
+      ADD COLUMN pending_email VARCHAR(100) NULL AFTER active,
+      ADD COLUMN email_change_token CHAR(64) NULL AFTER pending_email,
+      ADD COLUMN email_change_expires DATETIME NULL AFTER email_change_token,
+      ADD INDEX idx_email_change_token (email_change_token)
+  `);
+};
+
+export const down = async db => {
+  await db.query(`
+    ALTER TABLE users
+      DROP INDEX idx_email_change_token,
+      DROP COLUMN email_change_expires,
+      DROP COLUMN email_change_token,
+      DROP COLUMN pending_email,
+      DROP COLUMN active,
+      DROP COLUMN postal_code,
+      DROP COLUMN country,
+      DROP COLUMN state,
+      DROP COLUMN city,
+      DROP COLUMN address,
+      DROP COLUMN phone
+  `);
+};
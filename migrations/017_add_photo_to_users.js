@@ -0,0 +1,8 @@
+// Storage key shared by a user's profile photo sizes
+export const up = async db => {
+  await db.query('ALTER TABLE users ADD COLUMN photo VARCHAR(100) NULL AFTER postal_code');
+};
+
+export const down = async db => {
+  await db.query('ALTER TABLE users DROP COLUMN photo');
+};
@@ -0,0 +1,28 @@
+// A lawyer's license details plus proof, reviewed by an admin
+export const up = async db => {
+  await db.query(`
+    CREATE TABLE license_verifications (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      lawyer_id INT NOT NULL,
+      license_number VARCHAR(100) NOT NULL,
+      license_state VARCHAR(100) NOT NULL,
+      proof_name VARCHAR(255) NOT NULL,
+      proof_path VARCHAR(500) NOT NULL,
+      proof_size INT NOT NULL,
+      proof_type VARCHAR(100) NOT NULL,
+      status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+      rejection_reason VARCHAR(500),
+      reviewed_by INT,
+      reviewed_at DATETIME,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (lawyer_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_license_verifications_status (status, created_at),
+      INDEX idx_license_verifications_lawyer (lawyer_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async db => {
+  await db.query('DROP TABLE IF EXISTS license_verifications');
+};
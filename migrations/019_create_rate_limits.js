@@ -0,0 +1,15 @@
+// Counters for the MySQL rate limit store (RATE_LIMIT_STORE=mysql)
+export const up = async db => {
+  await db.query(`
+    CREATE TABLE rate_limits (
+      rate_key VARCHAR(191) PRIMARY KEY,
+      hits INT UNSIGNED NOT NULL,
+      reset_at DATETIME(3) NOT NULL,
+      INDEX idx_rate_limits_reset (reset_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async db => {
+  await db.query('DROP TABLE IF EXISTS rate_limits');
+};
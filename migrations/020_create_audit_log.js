@@ -0,0 +1,28 @@
+// Append-only record of who did what (see models/AuditLog.js). There are no
+// foreign keys, so entries outlive the users and records they mention.
+export const up = async db => {
+  await db.query(`
+    CREATE TABLE audit_log (
+      id BIGINT AUTO_INCREMENT PRIMARY KEY,
+      actor_id INT NULL,
+      actor_email VARCHAR(100) NULL,
+      actor_role VARCHAR(20) NULL,
+      action VARCHAR(50) NOT NULL,
+      target_type VARCHAR(30) NULL,
+      target_id INT NULL,
+      before_state JSON NULL,
+      after_state JSON NULL,
+      ip_address VARCHAR(45) NULL,
+      user_agent VARCHAR(255) NULL,
+      created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+      INDEX idx_audit_log_created (created_at),
+      INDEX idx_audit_log_actor (actor_id, created_at),
+      INDEX idx_audit_log_action (action, created_at),
+      INDEX idx_audit_log_target (target_type, target_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+export const down = async db => {
+  await db.query('DROP TABLE IF EXISTS audit_log');
+};
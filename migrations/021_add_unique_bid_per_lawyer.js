@@ -0,0 +1,21 @@
+// A lawyer may bid on a case once. Where a race let through more than one
+// bid, the accepted bid is kept, otherwise the latest.
+export const up = async db => {
+  await db.query(`
+    DELETE b FROM bids b
+    JOIN bids other
+      ON other.case_id = b.case_id
+      AND other.lawyer_id = b.lawyer_id
+      AND (other.status = 'accepted', other.id) > (b.status = 'accepted', b.id)
+  `);
+  await db.query('ALTER TABLE bids ADD UNIQUE KEY uq_bids_case_lawyer (case_id, lawyer_id)');
+};
+
+// The case_id foreign key needs an index of its own once the unique key is gone
+export const down = async db => {
+  await db.query(`
+    ALTER TABLE bids
+      ADD INDEX idx_bids_case (case_id),
+      DROP INDEX uq_bids_case_lawyer
+  `);
+};
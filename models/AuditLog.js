@@ -0,0 +1,84 @@
+import pool from '../config/db.js';
+
+// Actions recorded in the audit log
+export const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'user.update',
+  'user.delete',
+  'user.password_change',
+  'user.password_reset',
+  'case.update',
+  'case.delete',
+  'case.transition',
+  'bid.status_change',
+  'document.upload',
+  'document.download',
+  'document.delete',
+  'verification.review',
+  'verification.proof_download'
+];
+
+// Audit log fields that can be selected, filtered and sorted in listings
+export const AUDIT_COLUMNS = {
+  id: 'a.id',
+  actor_id: 'a.actor_id',
+  actor_email: 'a.actor_email',
+  actor_name: 'u.name',
+  actor_role: 'a.actor_role',
+  action: 'a.action',
+  target_type: 'a.target_type',
+  target_id: 'a.target_id',
+  before: 'a.before_state',
+  after: 'a.after_state',
+  ip_address: 'a.ip_address',
+  user_agent: 'a.user_agent',
+  created_at: 'a.created_at'
+};
+
+export const AUDIT_FROM = 'audit_log a LEFT JOIN users u ON a.actor_id = u.id';
+
+class AuditLog {
+  // Append an entry. Entries are never updated or deleted; for a hard
+  // guarantee, grant the app's database user only INSERT and SELECT on audit_log.
+  static async create({
+    actor = null,
+    action,
+    targetType = null,
+    targetId = null,
+    before = null,
+    after = null,
+    ipAddress = null,
+    userAgent = null
+  }) {
+    const query = `
+      INSERT INTO audit_log (
+        actor_id, actor_email, actor_role, action, target_type, target_id,
+        before_state, after_state, ip_address, user_agent, created_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(3))
+    `;
+
+    const [result] = await pool.execute(query, [
+      actor?.id ?? null,
+      actor?.email ?? null,
+      actor?.role ?? null,
+      action,
+      targetType,
+      targetId ?? null,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      ipAddress,
+      userAgent ? userAgent.slice(0, 255) : null
+    ]);
+    return result.insertId;
+  }
+
+  // Highest entry ID so far, so an export can stop at a fixed point
+  static async lastId() {
+    const [rows] = await pool.execute('SELECT MAX(id) AS id FROM audit_log');
+    return rows[0].id || 0;
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,105 @@
+import pool from '../config/db.js';
+
+export const CASE_STATUSES = ['open', 'in_progress', 'completed', 'cancelled'];
+
+// Allowed transitions: current status -> target status -> who may trigger it.
+// "owner" is the client who posted the case. Transitions marked `viaBid` only
+// happen as a side effect of accepting a bid, never directly.
+export const TRANSITIONS = {
+  open: {
+    in_progress: { by: ['owner'], viaBid: true },
+    cancelled: { by: ['owner', 'admin'] }
+  },
+  in_progress: {
+    completed: { by: ['owner', 'admin'] },
+    cancelled: { by: ['owner', 'admin'] }
+  },
+  completed: {},
+  cancelled: {}
+};
+
+class CaseLifecycle {
+  // The user's relationship to the case, as used in TRANSITIONS
+  static roleOf(caseItem, user) {
+    if (user.role === 'admin') return 'admin';
+    if (caseItem.user_id === user.id) return 'owner';
+    return null;
+  }
+
+  // Check a requested transition. Returns null when allowed, otherwise
+  // { status, message } describing why not.
+  static check(caseItem, to, user, { viaBid = false } = {}) {
+    const rule = (TRANSITIONS[caseItem.status] || {})[to];
+    if (!rule) {
+      return {
+        status: 409,
+        message: `Cannot move a case from ${caseItem.status} to ${to}`
+      };
+    }
+
+    if (rule.viaBid && !viaBid) {
+      return { status: 409, message: 'A case moves to in_progress when a bid is accepted' };
+    }
+
+    if (!rule.by.includes(CaseLifecycle.roleOf(caseItem, user))) {
+      return { status: 403, message: `Not authorized to move this case to ${to}` };
+    }
+
+    return null;
+  }
+
+  // Apply a checked transition with its side effects and record it in the
+  // history. Run it inside the caller's transaction.
+  static async apply(connection, caseItem, to, userId, note = null) {
+    await connection.execute(
+      'UPDATE cases SET status = ?, updated_at = NOW() WHERE id = ?',
+      [to, caseItem.id]
+    );
+
+    if (to === 'cancelled') {
+      // Nobody can be hired on a cancelled case
+      await connection.execute(
+        "UPDATE bids SET status = 'rejected', updated_at = NOW() WHERE case_id = ? AND status = 'pending'",
+        [caseItem.id]
+      );
+    }
+
+    if (to === 'completed') {
+      // Count the engagement on the hired lawyer's profile; completion also
+      // makes the case eligible for a review
+      await connection.execute(
+        `UPDATE lawyer_profiles lp
+         JOIN bids b ON b.lawyer_id = lp.user_id AND b.case_id = ? AND b.status = 'accepted'
+         SET lp.completed_cases = lp.completed_cases + 1`,
+        [caseItem.id]
+      );
+    }
+
+    await CaseLifecycle.record(connection, caseItem.id, caseItem.status, to, userId, note);
+  }
+
+  // Add an entry to a case's status history
+  static async record(db, caseId, from, to, userId, note = null) {
+    await db.execute(
+      `INSERT INTO case_status_history (case_id, from_status, to_status, changed_by, note, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [caseId, from, to, userId, note]
+    );
+  }
+
+  // Get a case's status history, oldest first
+  static async history(caseId) {
+    const query = `
+      SELECT h.id, h.from_status, h.to_status, h.changed_by, u.name AS changed_by_name, h.note, h.created_at
+      FROM case_status_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.case_id = ?
+      ORDER BY h.created_at ASC, h.id ASC
+    `;
+
+    const [rows] = await pool.execute(query, [caseId]);
+    return rows;
+  }
+}
+
+export default CaseLifecycle;
@@ -0,0 +1,217 @@
+import pool from '../config/db.js';
+
+// Conversation columns with the case and the people on either side. Before
+// hiring, a conversation is open while the lawyer's bid (`lawyer_bid_status`)
+// has not been withdrawn. After a lawyer is hired, `hired_lawyer_id` is set
+// and only that lawyer's conversation stays open.
+const SELECT_CONVERSATION = `
+  SELECT conv.*, c.title AS case_title, c.user_id AS client_id, c.accepted_bid_id,
+         ab.lawyer_id AS hired_lawyer_id, lb.status AS lawyer_bid_status,
+         client.name AS client_name, lawyer.name AS lawyer_name
+  FROM conversations conv
+  JOIN cases c ON conv.case_id = c.id
+  LEFT JOIN bids ab ON ab.id = c.accepted_bid_id
+  LEFT JOIN bids lb ON lb.case_id = conv.case_id AND lb.lawyer_id = conv.lawyer_id
+  JOIN users client ON c.user_id = client.id
+  JOIN users lawyer ON conv.lawyer_id = lawyer.id
+`;
+
+class Conversation {
+  // Whether a user may message about a case with a lawyer. Before hiring, the
+  // case owner can talk to any lawyer whose bid hasn't been withdrawn;
+  // afterwards only to the hired one.
+  static async canParticipate(caseItem, lawyerId, user) {
+    if (user.id !== caseItem.user_id && user.id !== lawyerId) {
+      return false;
+    }
+
+    if (caseItem.accepted_bid_id) {
+      const [bids] = await pool.execute('SELECT lawyer_id FROM bids WHERE id = ?', [caseItem.accepted_bid_id]);
+      return bids.length > 0 && bids[0].lawyer_id === lawyerId;
+    }
+
+    const [bids] = await pool.execute(
+      "SELECT id FROM bids WHERE case_id = ? AND lawyer_id = ? AND status != 'withdrawn'",
+      [caseItem.id, lawyerId]
+    );
+    return bids.length > 0;
+  }
+
+  // Whether a user is on either side of a conversation that is still open
+  static isParticipant(conversation, user) {
+    const isParty = user.id === conversation.client_id || user.id === conversation.lawyer_id;
+    const isOpen = conversation.hired_lawyer_id
+      ? conversation.hired_lawyer_id === conversation.lawyer_id
+      : Boolean(conversation.lawyer_bid_status) && conversation.lawyer_bid_status !== 'withdrawn';
+    return isParty && isOpen;
+  }
+
+  // Get the conversation for a case and lawyer, starting it if needed
+  static async findOrCreate(caseId, lawyerId) {
+    await pool.execute(
+      'INSERT IGNORE INTO conversations (case_id, lawyer_id, created_at) VALUES (?, ?, NOW())',
+      [caseId, lawyerId]
+    );
+
+    const [rows] = await pool.execute(
+      `${SELECT_CONVERSATION} WHERE conv.case_id = ? AND conv.lawyer_id = ?`,
+      [caseId, lawyerId]
+    );
+    return rows[0];
+  }
+
+  // Find conversation by ID
+  static async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_CONVERSATION} WHERE conv.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // List a user's open conversations with their unread message counts,
+  // most recently active first
+  static async findForUser(userId, caseId = null) {
+    let query = `
+      SELECT conv_list.*,
+        (SELECT COUNT(*) FROM messages m
+         WHERE m.conversation_id = conv_list.id AND m.sender_id != ? AND m.read_at IS NULL) AS unread_count
+      FROM (${SELECT_CONVERSATION}) conv_list
+      WHERE (conv_list.client_id = ? OR conv_list.lawyer_id = ?)
+        AND (conv_list.hired_lawyer_id = conv_list.lawyer_id
+          OR (conv_list.hired_lawyer_id IS NULL AND conv_list.lawyer_bid_status != 'withdrawn'))
+    `;
+    const params = [userId, userId, userId];
+
+    if (caseId) {
+      query += ' AND conv_list.case_id = ?';
+      params.push(caseId);
+    }
+
+    query += ' ORDER BY COALESCE(conv_list.last_message_at, conv_list.created_at) DESC, conv_list.id DESC';
+
+    const [rows] = await pool.execute(query, params);
+    return rows;
+  }
+
+  // Get one page of messages, newest first. Pass the oldest ID already seen
+  // as `before` to get the next page.
+  static async getMessages(conversationId, { before, limit = 50 } = {}) {
+    let query = 'SELECT m.*, u.name AS sender_name FROM messages m JOIN users u ON m.sender_id = u.id WHERE m.conversation_id = ?';
+    const params = [conversationId];
+
+    if (before) {
+      query += ' AND m.id < ?';
+      params.push(before);
+    }
+
+    // Fetch one extra row to find out whether there is another page
+    query += ` ORDER BY m.id DESC LIMIT ${Number(limit) + 1}`;
+
+    const [rows] = await pool.execute(query, params);
+    const hasMore = rows.length > limit;
+    const messages = hasMore ? rows.slice(0, limit) : rows;
+
+    const attachments = await Conversation.getAttachments(messages.map(m => m.id));
+    messages.forEach(message => {
+      message.attachments = attachments.get(message.id) || [];
+    });
+
+    return {
+      messages,
+      next_cursor: hasMore ? messages[messages.length - 1].id : null
+    };
+  }
+
+  // Load the documents attached to a set of messages, keyed by message ID
+  static async getAttachments(messageIds) {
+    const attachments = new Map();
+    if (messageIds.length === 0) {
+      return attachments;
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT ma.message_id, d.id, d.name, d.size, d.type
+       FROM message_attachments ma
+       JOIN documents d ON ma.document_id = d.id
+       WHERE ma.message_id IN (${messageIds.map(() => '?').join(', ')})`,
+      messageIds
+    );
+
+    rows.forEach(({ message_id: messageId, ...document }) => {
+      if (!attachments.has(messageId)) attachments.set(messageId, []);
+      attachments.get(messageId).push(document);
+    });
+
+    return attachments;
+  }
+
+  // Add a message with optional case document attachments
+  static async addMessage(conversation, senderId, body, documentIds = []) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [result] = await connection.execute(
+        'INSERT INTO messages (conversation_id, sender_id, body, created_at) VALUES (?, ?, ?, NOW())',
+        [conversation.id, senderId, body]
+      );
+
+      for (const documentId of new Set(documentIds)) {
+        await connection.execute(
+          'INSERT INTO message_attachments (message_id, document_id) VALUES (?, ?)',
+          [result.insertId, documentId]
+        );
+      }
+
+      await connection.execute(
+        'UPDATE conversations SET last_message_at = NOW() WHERE id = ?',
+        [conversation.id]
+      );
+
+      await connection.commit();
+
+      const [rows] = await pool.execute(
+        'SELECT m.*, u.name AS sender_name FROM messages m JOIN users u ON m.sender_id = u.id WHERE m.id = ?',
+        [result.insertId]
+      );
+      const attachments = await Conversation.getAttachments([result.insertId]);
+      return { ...rows[0], attachments: attachments.get(result.insertId) || [] };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Mark the other side's messages as read, optionally only up to a message ID
+  static async markRead(conversationId, userId, upTo = null) {
+    let query = `
+      UPDATE messages SET read_at = NOW()
+      WHERE conversation_id = ? AND sender_id != ? AND read_at IS NULL
+    `;
+    const params = [conversationId, userId];
+
+    if (upTo) {
+      query += ' AND id <= ?';
+      params.push(upTo);
+    }
+
+    const [result] = await pool.execute(query, params);
+    return result.affectedRows;
+  }
+
+  // Whether a document was shared with the user as an attachment in one of
+  // their open conversations
+  static async hasAttachmentAccess(documentId, user) {
+    const [rows] = await pool.execute(
+      `SELECT conv_list.* FROM (${SELECT_CONVERSATION}) conv_list
+       JOIN messages m ON m.conversation_id = conv_list.id
+       JOIN message_attachments ma ON ma.message_id = m.id
+       WHERE ma.document_id = ? AND (conv_list.client_id = ? OR conv_list.lawyer_id = ?)`,
+      [documentId, user.id, user.id]
+    );
+    return rows.some(conversation => Conversation.isParticipant(conversation, user));
+  }
+}
+
+export default Conversation;
@@ -0,0 +1,42 @@
+import pool from '../config/db.js';
+
+const SELECT_DOCUMENT = `
+  SELECT d.*, u.name AS uploaded_by_name
+  FROM documents d
+  JOIN users u ON d.uploaded_by = u.id
+`;
+
+class Document {
+  // Create document record
+  static async create({ caseId, name, path, size, type, uploadedBy }) {
+    const query = `
+      INSERT INTO documents (case_id, name, path, size, type, uploaded_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, NOW())
+    `;
+
+    const [result] = await pool.execute(query, [caseId, name, path, size, type, uploadedBy]);
+    return Document.findById(result.insertId);
+  }
+
+  // Find document by ID
+  static async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_DOCUMENT} WHERE d.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // Find all documents for a case, newest first
+  static async findByCase(caseId) {
+    const [rows] = await pool.execute(
+      `${SELECT_DOCUMENT} WHERE d.case_id = ? ORDER BY d.created_at DESC, d.id DESC`,
+      [caseId]
+    );
+    return rows;
+  }
+
+  // Delete document record
+  static async delete(id) {
+    await pool.execute('DELETE FROM documents WHERE id = ?', [id]);
+  }
+}
+
+export default Document;
@@ -1,320 +1,447 @@
-const mongoose = require('mongoose');
-
-const lawyerProfileSchema = new mongoose.Schema({
-    user: {
-        type: mongoose.Schema.ObjectId,
-        ref: 'User',
-        required: true,
-        unique: true
-    },
-    bio: {
-        type: String,
-        trim: true,
-        maxlength: [2000, 'Bio cannot be more than 2000 characters']
-    },
-    specializations: [{
-        type: String,
-        enum: [
-            'Family Law',
-            'Criminal Law',
-            'Corporate Law',
-            'Intellectual Property',
-            'Real Estate',
-            'Immigration',
-            'Employment',
-            'Tax',
-            'Bankruptcy',
-            'Other'
-        ]
-    }],
-    experience: {
-        type: Number,
-        min: [0, 'Experience cannot be negative']
-    },
-    education: [{
-        degree: {
-            type: String,
-            required: [true, 'Please provide a degree'],
-            trim: true
-        },
-        institution: {
-            type: String,
-            required: [true, 'Please provide an institution'],
-            trim: true
-        },
-        fieldOfStudy: {
-            type: String,
-            required: [true, 'Please provide a field of study'],
-            trim: true
-        },
-        from: {
-            type: Date,
-            required: [true, 'Please provide a start date']
-        },
-        to: {
-            type: Date
-        },
-        current: {
-            type: Boolean,
-            default: false
-        },
-        description: {
-            type: String,
-            trim: true
-        }
-    }],
-    license: {
-        number: {
-            type: String,
-            trim: true
-        },
-        state: {
-            type: String,
-            trim: true
-        },
-        verified: {
-            type: Boolean,
-            default: false
-        }
-    },
-    languages: [{
-        language: {
-            type: String,
-            required: [true, 'Please provide a language'],
-            trim: true
-        },
-        proficiency: {
-            type: String,
-            enum: ['Basic', 'Conversational', 'Fluent', 'Native'],
-            default: 'Basic'
-        }
-    }],
-    hourlyRate: {
-        type: Number,
-        min: [0, 'Hourly rate cannot be negative']
-    },
-    location: {
-        address: {
-            type: String,
-            trim: true
-        },
-        city: {
-            type: String,
-            trim: true
-        },
-        state: {
-            type: String,
-            trim: true
-        },
-        country: {
-            type: String,
-            trim: true
-        },
-        zipCode: {
-            type: String,
-            trim: true
-        },
-        coordinates: {
-            type: [Number],  // [longitude, latitude]
-            index: '2dsphere'
-        }
-    },
-    availability: {
-        monday: {
-            type: Boolean,
-            default: false
-        },
-        tuesday: {
-            type: Boolean,
-            default: false
-        },
-        wednesday: {
-            type: Boolean,
-            default: false
-        },
-        thursday: {
-            type: Boolean,
-            default: false
-        },
-        friday: {
-            type: Boolean,
-            default: false
-        },
-        saturday: {
-            type: Boolean,
-            default: false
-        },
-        sunday: {
-            type: Boolean,
-            default: false
-        },
-        timeSlots: [{
-            day: {
-                type: String,
-                enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
-            },
-            startTime: String,  // Format: "HH:MM"
-            endTime: String     // Format: "HH:MM"
-        }]
-    },
-    social: {
-        website: {
-            type: String,
-            trim: true
-        },
-        linkedin: {
-            type: String,
-            trim: true
-        },
-        twitter: {
-            type: String,
-            trim: true
-        },
-        facebook: {
-            type: String,
-            trim: true
-        },
-        instagram: {
-            type: String,
-            trim: true
-        }
-    },
-    isVerified: {
-        type: Boolean,
-        default: false
-    },
-    isAvailable: {
-        type: Boolean,
-        default: true
-    },
-    consultationFee: {
-        type: Number,
-        default: 0
-    },
-    paymentMethods: [{
-        type: String,
-        enum: ['credit_card', 'paypal', 'bank_transfer', 'crypto']
-    }],
-    ratingsAverage: {
-        type: Number,
-        default: 0,
-        min: [0, 'Rating must be at least 0'],
-        max: [5, 'Rating cannot be more than 5'],
-        set: val => Math.round(val * 10) / 10 // 4.666666, 46.6666, 47, 4.7
-    },
-    ratingsQuantity: {
-        type: Number,
-        default: 0
-    },
-    completedCases: {
-        type: Number,
-        default: 0
-    },
-    responseTime: {
-        type: Number, // in hours
-        default: 24
-    },
-    isProfileComplete: {
-        type: Boolean,
-        default: false
+import pool from '../config/db.js';
+import Review from './Review.js';
+import { photoUrls } from '../utils/photos.js';
+
+export const SPECIALIZATIONS = [
+  'Family Law',
+  'Criminal Law',
+  'Corporate Law',
+  'Intellectual Property',
+  'Real Estate',
+  'Immigration',
+  'Employment',
+  'Tax',
+  'Bankruptcy',
+  'Other'
+];
+
+export const PROFICIENCIES = ['Basic', 'Conversational', 'Fluent', 'Native'];
+
+export const PAYMENT_METHODS = ['credit_card', 'paypal', 'bank_transfer', 'crypto'];
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Fields a lawyer may set on their own profile. The license is set through
+// verification (see LicenseVerification), and ratings and case counters are
+// maintained by the platform.
+export const EDITABLE_FIELDS = [
+  'bio',
+  'specializations',
+  'experience',
+  'education',
+  'languages',
+  'hourlyRate',
+  'location',
+  'availability',
+  'social',
+  'isAvailable',
+  'consultationFee',
+  'paymentMethods'
+];
+
+const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+const emptyAvailability = () => {
+  const availability = {};
+  WEEKDAYS.forEach(day => {
+    availability[day] = false;
+  });
+  availability.timeSlots = [];
+  return availability;
+};
+
+class LawyerProfile {
+  // Shape a lawyer_profiles row and its child rows the way the API returns them
+  static format(row, { specializations = [], education = [], languages = [] } = {}) {
+    return {
+      id: row.id,
+      user: row.user_id,
+      bio: row.bio,
+      specializations,
+      experience: row.experience,
+      education: education.map(ed => ({
+        id: ed.id,
+        degree: ed.degree,
+        institution: ed.institution,
+        fieldOfStudy: ed.field_of_study,
+        from: ed.from_date,
+        to: ed.to_date,
+        current: Boolean(ed.current),
+        description: ed.description
+      })),
+      license: {
+        number: row.license_number,
+        state: row.license_state,
+        verified: Boolean(row.license_verified)
+      },
+      languages: languages.map(lang => ({
+        language: lang.language,
+        proficiency: lang.proficiency
+      })),
+      hourlyRate: toNumber(row.hourly_rate),
+      location: {
+        address: row.address,
+        city: row.city,
+        state: row.state,
+        country: row.country,
+        zipCode: row.zip_code,
+        coordinates:
+          row.longitude !== null && row.latitude !== null
+            ? [Number(row.longitude), Number(row.latitude)]
+            : []
+      },
+      availability: { ...emptyAvailability(), ...(row.availability || {}) },
+      social: {
+        website: row.website,
+        linkedin: row.linkedin,
+        twitter: row.twitter,
+        facebook: row.facebook,
+        instagram: row.instagram
+      },
+      isVerified: Boolean(row.is_verified),
+      isAvailable: Boolean(row.is_available),
+      consultationFee: toNumber(row.consultation_fee),
+      paymentMethods: row.payment_methods ? row.payment_methods.split(',') : [],
+      ratingsAverage: toNumber(row.ratings_average),
+      ratingsQuantity: row.ratings_quantity,
+      completedCases: row.completed_cases,
+      responseTime: row.response_time,
+      isProfileComplete: Boolean(row.is_profile_complete),
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // A profile is complete once bio, experience and at least one
+  // specialization, education entry and language are filled in
+  static isComplete(profile) {
+    return Boolean(
+      profile.bio &&
+      profile.specializations && profile.specializations.length > 0 &&
+      profile.experience !== undefined && profile.experience !== null &&
+      profile.education && profile.education.length > 0 &&
+      profile.languages && profile.languages.length > 0
+    );
+  }
+
+  // Load specializations, education and languages for a set of lawyers, keyed by user ID
+  static async loadChildren(userIds, db = pool) {
+    const children = new Map(
+      userIds.map(id => [Number(id), { specializations: [], education: [], languages: [] }])
+    );
+    if (userIds.length === 0) {
+      return children;
+    }
+
+    const placeholders = userIds.map(() => '?').join(', ');
+    const [specializations] = await db.execute(
+      `SELECT user_id, specialization FROM lawyer_specializations
+       WHERE user_id IN (${placeholders}) ORDER BY specialization`,
+      userIds
+    );
+    const [education] = await db.execute(
+      `SELECT * FROM lawyer_education WHERE user_id IN (${placeholders}) ORDER BY from_date DESC`,
+      userIds
+    );
+    const [languages] = await db.execute(
+      `SELECT user_id, language, proficiency FROM lawyer_languages
+       WHERE user_id IN (${placeholders}) ORDER BY language`,
+      userIds
+    );
+
+    specializations.forEach(s => children.get(s.user_id).specializations.push(s.specialization));
+    education.forEach(ed => children.get(ed.user_id).education.push(ed));
+    languages.forEach(lang => children.get(lang.user_id).languages.push(lang));
+
+    return children;
+  }
+
+  // Find profile by the lawyer's user ID
+  static async findByUserId(userId, db = pool) {
+    const [rows] = await db.execute('SELECT * FROM lawyer_profiles WHERE user_id = ?', [userId]);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const children = await LawyerProfile.loadChildren([rows[0].user_id], db);
+    return LawyerProfile.format(rows[0], children.get(rows[0].user_id));
+  }
+
+  // Search the lawyer directory. Every filter is optional; returns one page of
+  // lawyers together with the total number of matches.
+  static async search({
+    specializations = [],
+    language,
+    proficiency,
+    minRate,
+    maxRate,
+    maxConsultationFee,
+    isAvailable,
+    isVerified,
+    near,
+    text,
+    sort = '-rating',
+    page = 1,
+    limit = 20
+  } = {}) {
+    // Deactivated and suspended lawyers are left out of the directory
+    const where = ["u.role = 'lawyer'", 'u.active = TRUE', 'u.suspended_at IS NULL'];
+    const params = [];
+    const selectParams = [];
+    const extraColumns = [];
+
+    if (specializations.length > 0) {
+      where.push(`EXISTS (
+        SELECT 1 FROM lawyer_specializations ls
+        WHERE ls.user_id = lp.user_id AND ls.specialization IN (${specializations.map(() => '?').join(', ')})
+      )`);
+      params.push(...specializations);
+    }
+
+    if (language) {
+      // A proficiency filter is a minimum level: "Fluent" also matches "Native"
+      const levels = PROFICIENCIES.map(() => '?').join(', ');
+      where.push(`EXISTS (
+        SELECT 1 FROM lawyer_languages ll
+        WHERE ll.user_id = lp.user_id AND ll.language = ?
+          AND FIELD(ll.proficiency, ${levels}) >= FIELD(?, ${levels})
+      )`);
+      params.push(language, ...PROFICIENCIES, proficiency || PROFICIENCIES[0], ...PROFICIENCIES);
+    }
+
+    if (minRate !== undefined) {
+      where.push('lp.hourly_rate >= ?');
+      params.push(minRate);
+    }
+    if (maxRate !== undefined) {
+      where.push('lp.hourly_rate <= ?');
+      params.push(maxRate);
     }
-}, {
-    timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true }
-});
-
-// Virtual populate for reviews
-lawyerProfileSchema.virtual('reviews', {
-    ref: 'Review',
-    foreignField: 'lawyer',
-    localField: 'user'
-});
-
-// Virtual populate for cases
-lawyerProfileSchema.virtual('cases', {
-    ref: 'CasePost',
-    foreignField: 'acceptedBid',
-    localField: 'user'
-});
-
-// Index for text search
-lawyerProfileSchema.index({
-    bio: 'text',
-    'education.institution': 'text',
-    'education.fieldOfStudy': 'text',
-    specializations: 'text'
-});
-
-// Pre-save hook to ensure user is a lawyer
-lawyerProfileSchema.pre('save', async function(next) {
-    const user = await this.model('User').findById(this.user);
-    if (user.role !== 'lawyer') {
-        throw new Error('Only lawyers can have a lawyer profile');
+    if (maxConsultationFee !== undefined) {
+      where.push('lp.consultation_fee <= ?');
+      params.push(maxConsultationFee);
     }
-    
-    // Check if profile is complete
-    this.isProfileComplete = this.bio && 
-                           this.specializations && this.specializations.length > 0 && 
-                           this.experience !== undefined && 
-                           this.education && this.education.length > 0 && 
-                           this.languages && this.languages.length > 0;
-    
-    next();
-});
-
-// Update user's average rating when a review is saved or removed
-lawyerProfileSchema.post('save', function(doc) {
-    this.constructor.calcAverageRating(this.user);
-});
-
-lawyerProfileSchema.post('remove', function(doc) {
-    this.constructor.calcAverageRating(this.user);
-});
-
-// Static method to calculate average rating
-lawyerProfileSchema.statics.calcAverageRating = async function(userId) {
-    const stats = await this.aggregate([
-        {
-            $match: { user: userId }
-        },
-        {
-            $lookup: {
-                from: 'reviews',
-                localField: 'user',
-                foreignField: 'lawyer',
-                as: 'reviews'
-            }
-        },
-        {
-            $unwind: '$reviews'
-        },
-        {
-            $group: {
-                _id: '$user',
-                nRating: { $sum: 1 },
-                avgRating: { $avg: '$reviews.rating' }
-            }
+    if (isAvailable !== undefined) {
+      where.push('lp.is_available = ?');
+      params.push(isAvailable);
+    }
+    if (isVerified !== undefined) {
+      where.push('lp.is_verified = ?');
+      params.push(isVerified);
+    }
+
+    if (near) {
+      // Great-circle distance in kilometres; coordinates are stored as [longitude, latitude]
+      const distance = 'ST_Distance_Sphere(POINT(lp.longitude, lp.latitude), POINT(?, ?)) / 1000';
+      extraColumns.push(`${distance} AS distance`);
+      selectParams.push(near.lng, near.lat);
+      where.push(`lp.latitude IS NOT NULL AND lp.longitude IS NOT NULL AND ${distance} <= ?`);
+      params.push(near.lng, near.lat, near.radius);
+    }
+
+    if (text) {
+      const bioScore = 'MATCH(lp.bio) AGAINST(? IN NATURAL LANGUAGE MODE)';
+      const educationScore = `(
+        SELECT COALESCE(MAX(MATCH(le.institution, le.field_of_study) AGAINST(? IN NATURAL LANGUAGE MODE)), 0)
+        FROM lawyer_education le WHERE le.user_id = lp.user_id
+      )`;
+      extraColumns.push(`(${bioScore} + ${educationScore}) AS relevance`);
+      selectParams.push(text, text);
+      where.push(`(${bioScore} OR EXISTS (
+        SELECT 1 FROM lawyer_education le
+        WHERE le.user_id = lp.user_id
+          AND MATCH(le.institution, le.field_of_study) AGAINST(? IN NATURAL LANGUAGE MODE)
+      ))`);
+      params.push(text, text);
+    }
+
+    const sortColumns = {
+      rating: 'lp.ratings_average',
+      experience: 'lp.experience',
+      price: 'lp.hourly_rate',
+      ...(near && { distance: 'distance' }),
+      ...(text && { relevance: 'relevance' })
+    };
+    const sortField = sort.replace(/^-/, '');
+    const orderBy = sortColumns[sortField]
+      ? `${sortColumns[sortField]} ${sort.startsWith('-') ? 'DESC' : 'ASC'}, lp.user_id ASC`
+      : 'lp.ratings_average DESC, lp.user_id ASC';
+
+    const whereClause = where.join(' AND ');
+    const from = 'FROM lawyer_profiles lp JOIN users u ON u.id = lp.user_id';
+
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) AS total ${from} WHERE ${whereClause}`,
+      params
+    );
+
+    // LIMIT/OFFSET are validated integers, so they are inlined rather than bound
+    const offset = (page - 1) * limit;
+    const columns = ['lp.*', 'u.name', 'u.photo', ...extraColumns].join(', ');
+    const [rows] = await pool.execute(
+      `SELECT ${columns} ${from} WHERE ${whereClause}
+       ORDER BY ${orderBy} LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      [...selectParams, ...params]
+    );
+
+    const children = await LawyerProfile.loadChildren(rows.map(row => row.user_id));
+    const lawyers = rows.map(row => ({
+      id: row.user_id,
+      name: row.name,
+      photo: photoUrls(row.photo),
+      ...(row.distance !== undefined && { distance: Math.round(row.distance * 10) / 10 }),
+      profile: LawyerProfile.format(row, children.get(row.user_id))
+    }));
+
+    return { total: countRows[0].total, lawyers };
+  }
+
+  // Create the profile or merge the given fields into the existing one
+  static async upsert(userId, data) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const existing = await LawyerProfile.findByUserId(userId, connection);
+      const profile = LawyerProfile.merge(existing, data);
+      const isProfileComplete = LawyerProfile.isComplete(profile);
+      const [longitude, latitude] = profile.location.coordinates || [];
+
+      const query = `
+        INSERT INTO lawyer_profiles (
+          user_id, bio, experience, license_number, license_state, hourly_rate,
+          address, city, state, country, zip_code, latitude, longitude, availability,
+          website, linkedin, twitter, facebook, instagram,
+          is_available, consultation_fee, payment_methods, is_profile_complete,
+          created_at, updated_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+        ON DUPLICATE KEY UPDATE
+          bio = VALUES(bio), experience = VALUES(experience),
+          license_number = VALUES(license_number), license_state = VALUES(license_state),
+          hourly_rate = VALUES(hourly_rate), address = VALUES(address), city = VALUES(city),
+          state = VALUES(state), country = VALUES(country), zip_code = VALUES(zip_code),
+          latitude = VALUES(latitude), longitude = VALUES(longitude),
+          availability = VALUES(availability), website = VALUES(website),
+          linkedin = VALUES(linkedin), twitter = VALUES(twitter),
+          facebook = VALUES(facebook), instagram = VALUES(instagram),
+          is_available = VALUES(is_available), consultation_fee = VALUES(consultation_fee),
+          payment_methods = VALUES(payment_methods),
+          is_profile_complete = VALUES(is_profile_complete), updated_at = NOW()
+      `;
+
+      await connection.execute(query, [
+        userId,
+        profile.bio ?? null,
+        profile.experience ?? null,
+        profile.license.number ?? null,
+        profile.license.state ?? null,
+        profile.hourlyRate ?? null,
+        profile.location.address ?? null,
+        profile.location.city ?? null,
+        profile.location.state ?? null,
+        profile.location.country ?? null,
+        profile.location.zipCode ?? null,
+        latitude ?? null,
+        longitude ?? null,
+        JSON.stringify(profile.availability),
+        profile.social.website ?? null,
+        profile.social.linkedin ?? null,
+        profile.social.twitter ?? null,
+        profile.social.facebook ?? null,
+        profile.social.instagram ?? null,
+        profile.isAvailable,
+        profile.consultationFee ?? 0,
+        profile.paymentMethods.join(','),
+        isProfileComplete
+      ]);
+
+      // Pick up reviews left before the lawyer set up a profile
+      if (!existing) {
+        await Review.updateLawyerRating(userId, connection);
+      }
+
+      if (data.specializations !== undefined) {
+        await connection.execute('DELETE FROM lawyer_specializations WHERE user_id = ?', [userId]);
+        for (const specialization of new Set(profile.specializations)) {
+          await connection.execute(
+            'INSERT INTO lawyer_specializations (user_id, specialization) VALUES (?, ?)',
+            [userId, specialization]
+          );
+        }
+      }
+
+      if (data.education !== undefined) {
+        await connection.execute('DELETE FROM lawyer_education WHERE user_id = ?', [userId]);
+        for (const ed of profile.education) {
+          await connection.execute(
+            `INSERT INTO lawyer_education
+              (user_id, degree, institution, field_of_study, from_date, to_date, current, description)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              userId,
+              ed.degree,
+              ed.institution,
+              ed.fieldOfStudy,
+              ed.from,
+              ed.to ?? null,
+              Boolean(ed.current),
+              ed.description ?? null
+            ]
+          );
+        }
+      }
+
+      if (data.languages !== undefined) {
+        await connection.execute('DELETE FROM lawyer_languages WHERE user_id = ?', [userId]);
+        for (const lang of profile.languages) {
+          await connection.execute(
+            'INSERT INTO lawyer_languages (user_id, language, proficiency) VALUES (?, ?, ?)',
+            [userId, lang.language, lang.proficiency || 'Basic']
+          );
         }
-    ]);
-
-    if (stats.length > 0) {
-        await this.model('LawyerProfile').findOneAndUpdate(
-            { user: userId },
-            {
-                ratingsQuantity: stats[0].nRating,
-                ratingsAverage: stats[0].avgRating
-            }
-        );
-    } else {
-        await this.model('LawyerProfile').findOneAndUpdate(
-            { user: userId },
-            {
-                ratingsQuantity: 0,
-                ratingsAverage: 0
-            }
-        );
+      }
+
+      const saved = await LawyerProfile.findByUserId(userId, connection);
+      await connection.commit();
+      return saved;
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
-};
+  }
+
+  // Merge an update onto an existing profile; nested objects are merged one level deep
+  static merge(existing, data) {
+    const base = existing || {
+      specializations: [],
+      education: [],
+      license: {},
+      languages: [],
+      location: { coordinates: [] },
+      availability: emptyAvailability(),
+      social: {},
+      isAvailable: true,
+      consultationFee: 0,
+      paymentMethods: []
+    };
+
+    const profile = { ...base };
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] === undefined) return;
+
+      if (['location', 'availability', 'social'].includes(field)) {
+        profile[field] = { ...base[field], ...data[field] };
+      } else {
+        profile[field] = data[field];
+      }
+    });
+
+    return profile;
+  }
+}
 
-module.exports = mongoose.model('LawyerProfile', lawyerProfileSchema);
+export default LawyerProfile;
@@ -0,0 +1,149 @@
+import pool from '../config/db.js';
+import Review from './Review.js';
+
+const SELECT_VERIFICATION = `
+  SELECT v.*, u.name AS lawyer_name, u.email AS lawyer_email, r.name AS reviewed_by_name
+  FROM license_verifications v
+  JOIN users u ON v.lawyer_id = u.id
+  LEFT JOIN users r ON v.reviewed_by = r.id
+`;
+
+class LicenseVerification {
+  // Create a verification request
+  static async create({ lawyerId, licenseNumber, licenseState, proof }) {
+    const query = `
+      INSERT INTO license_verifications
+        (lawyer_id, license_number, license_state, proof_name, proof_path, proof_size, proof_type, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', NOW())
+    `;
+
+    const [result] = await pool.execute(query, [
+      lawyerId,
+      licenseNumber,
+      licenseState,
+      proof.name,
+      proof.path,
+      proof.size,
+      proof.type
+    ]);
+    return LicenseVerification.findById(result.insertId);
+  }
+
+  // Find verification request by ID
+  static async findById(id) {
+    const [rows] = await pool.execute(`${SELECT_VERIFICATION} WHERE v.id = ?`, [id]);
+    return rows[0] || null;
+  }
+
+  // Find a lawyer's requests, newest first
+  static async findByLawyer(lawyerId) {
+    const [rows] = await pool.execute(
+      `${SELECT_VERIFICATION} WHERE v.lawyer_id = ? ORDER BY v.created_at DESC, v.id DESC`,
+      [lawyerId]
+    );
+    return rows;
+  }
+
+  // Whether the lawyer already has a request waiting for review
+  static async hasPending(lawyerId) {
+    const [rows] = await pool.execute(
+      "SELECT id FROM license_verifications WHERE lawyer_id = ? AND status = 'pending'",
+      [lawyerId]
+    );
+    return rows.length > 0;
+  }
+
+  // Find one page of requests with the given status. Pending requests are
+  // listed oldest first so the queue is worked in order.
+  static async findByStatus(status, { page = 1, limit = 20 } = {}) {
+    const [countRows] = await pool.execute(
+      'SELECT COUNT(*) AS total FROM license_verifications WHERE status = ?',
+      [status]
+    );
+
+    // LIMIT/OFFSET are validated integers, so they are inlined rather than bound
+    const order = status === 'pending' ? 'ASC' : 'DESC';
+    const offset = (page - 1) * limit;
+    const [rows] = await pool.execute(
+      `${SELECT_VERIFICATION} WHERE v.status = ?
+       ORDER BY v.created_at ${order}, v.id ${order} LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      [status]
+    );
+
+    return { total: countRows[0].total, verifications: rows };
+  }
+
+  // Approve or reject a pending request. Approval copies the license onto the
+  // lawyer's profile and marks it verified; a rejection leaves any earlier
+  // approval in place. Returns { verification } or { status, message }.
+  static async review(id, adminId, decision, reason = null) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT * FROM license_verifications WHERE id = ? FOR UPDATE',
+        [id]
+      );
+      if (rows.length === 0) {
+        await connection.rollback();
+        return { status: 404, message: 'Verification request not found' };
+      }
+
+      const request = rows[0];
+      if (request.status !== 'pending') {
+        await connection.rollback();
+        return { status: 400, message: `This request has already been ${request.status}` };
+      }
+
+      await connection.execute(
+        `UPDATE license_verifications
+         SET status = ?, rejection_reason = ?, reviewed_by = ?, reviewed_at = NOW()
+         WHERE id = ?`,
+        [decision, decision === 'rejected' ? reason : null, adminId, id]
+      );
+
+      if (decision === 'approved') {
+        const [result] = await connection.execute(
+          `INSERT INTO lawyer_profiles
+             (user_id, license_number, license_state, license_verified, is_verified, created_at, updated_at)
+           VALUES (?, ?, ?, TRUE, TRUE, NOW(), NOW())
+           ON DUPLICATE KEY UPDATE
+             license_number = VALUES(license_number), license_state = VALUES(license_state),
+             license_verified = TRUE, is_verified = TRUE, updated_at = NOW()`,
+          [request.lawyer_id, request.license_number, request.license_state]
+        );
+
+        // A new profile picks up reviews left before it existed
+        if (result.affectedRows === 1) {
+          await Review.updateLawyerRating(request.lawyer_id, connection);
+        }
+      }
+
+      await connection.commit();
+      return { verification: await LicenseVerification.findById(id) };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Whether a lawyer holds an approved license
+  static async isVerified(lawyerId) {
+    const [rows] = await pool.execute(
+      'SELECT id FROM lawyer_profiles WHERE user_id = ? AND is_verified = TRUE',
+      [lawyerId]
+    );
+    return rows.length > 0;
+  }
+
+  // Strip the storage path from the API representation
+  static format({ proof_path: _proofPath, ...verification }) {
+    return verification;
+  }
+}
+
+export default LicenseVerification;
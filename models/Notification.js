@@ -0,0 +1,123 @@
+import pool from '../config/db.js';
+
+// Events users are notified about, with the delivery used until a user
+// changes their preferences
+export const DEFAULT_PREFERENCES = {
+  bid_created: { in_app: true, email: true },
+  bid_accepted: { in_app: true, email: true },
+  bid_rejected: { in_app: true, email: false },
+  bid_withdrawn: { in_app: true, email: false },
+  case_status_changed: { in_app: true, email: false },
+  license_verification: { in_app: true, email: true }
+};
+
+export const EVENT_TYPES = Object.keys(DEFAULT_PREFERENCES);
+
+class Notification {
+  // Create notification
+  static async create({ userId, type, title, body = null, data = null }) {
+    const query = `
+      INSERT INTO notifications (user_id, type, title, body, data, created_at)
+      VALUES (?, ?, ?, ?, ?, NOW())
+    `;
+
+    const [result] = await pool.execute(query, [
+      userId,
+      type,
+      title,
+      body,
+      data ? JSON.stringify(data) : null
+    ]);
+    return result.insertId;
+  }
+
+  // Find one page of a user's notifications, newest first
+  static async findForUser(userId, { unreadOnly = false, page = 1, limit = 20 } = {}) {
+    const where = unreadOnly ? 'user_id = ? AND read_at IS NULL' : 'user_id = ?';
+
+    const [countRows] = await pool.execute(
+      `SELECT COUNT(*) AS total FROM notifications WHERE ${where}`,
+      [userId]
+    );
+
+    const offset = (page - 1) * limit;
+    const [rows] = await pool.execute(
+      `SELECT * FROM notifications WHERE ${where}
+       ORDER BY created_at DESC, id DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      [userId]
+    );
+
+    return {
+      total: countRows[0].total,
+      notifications: rows
+    };
+  }
+
+  // Count a user's unread notifications
+  static async countUnread(userId) {
+    const [rows] = await pool.execute(
+      'SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND read_at IS NULL',
+      [userId]
+    );
+    return rows[0].unread;
+  }
+
+  // Mark one of a user's notifications as read; returns false if it isn't theirs
+  static async markRead(id, userId) {
+    const [result] = await pool.execute(
+      'UPDATE notifications SET read_at = COALESCE(read_at, NOW()) WHERE id = ? AND user_id = ?',
+      [id, userId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Mark all of a user's notifications as read
+  static async markAllRead(userId) {
+    const [result] = await pool.execute(
+      'UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL',
+      [userId]
+    );
+    return result.affectedRows;
+  }
+
+  // Get a user's delivery preferences for every event, filling in defaults
+  static async getPreferences(userId) {
+    const [rows] = await pool.execute(
+      'SELECT event_type, in_app, email FROM notification_preferences WHERE user_id = ?',
+      [userId]
+    );
+
+    const preferences = {};
+    EVENT_TYPES.forEach(type => {
+      preferences[type] = { ...DEFAULT_PREFERENCES[type] };
+    });
+    rows.forEach(row => {
+      if (preferences[row.event_type]) {
+        preferences[row.event_type] = { in_app: Boolean(row.in_app), email: Boolean(row.email) };
+      }
+    });
+
+    return preferences;
+  }
+
+  // Save preferences for the given events, e.g. { bid_created: { email: false } }
+  static async setPreferences(userId, changes) {
+    const current = await Notification.getPreferences(userId);
+
+    for (const [type, change] of Object.entries(changes)) {
+      if (!current[type]) continue;
+
+      const preference = { ...current[type], ...change };
+      await pool.execute(
+        `INSERT INTO notification_preferences (user_id, event_type, in_app, email)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE in_app = VALUES(in_app), email = VALUES(email)`,
+        [userId, type, Boolean(preference.in_app), Boolean(preference.email)]
+      );
+    }
+
+    return Notification.getPreferences(userId);
+  }
+}
+
+export default Notification;
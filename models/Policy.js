@@ -0,0 +1,166 @@
+import pool from '../config/db.js';
+import Conversation from './Conversation.js';
+import Document from './Document.js';
+import Review from './Review.js';
+
+// Who may do what. Each action lists the relationships that grant it; a user
+// needs any one of them.
+//
+//   admin        an admin, on everything listed
+//   owner        the client who posted the case (for bids and documents, the
+//                client who posted their case)
+//   hired        the lawyer whose bid was accepted on the case
+//   bidder       a lawyer who has bid on the case, whatever became of the bid
+//   prospect     any lawyer, while the case is open for bidding
+//   author       the lawyer who made the bid, or the client who wrote the review
+//   uploader     the person who uploaded the document, while still owner or hired
+//   recipient    someone the document was shared with in an open conversation
+//   participant  either side of a conversation that is still open
+//
+// Role-only routes (posting a case, bidding, reviewing, the admin API, a
+// lawyer's own profile) are guarded with authorize() instead, as there is no
+// resource to relate to. Public routes need no policy.
+export const POLICIES = {
+  case: {
+    read: ['admin', 'owner', 'hired', 'bidder', 'prospect'],
+    update: ['admin', 'owner'],
+    delete: ['admin', 'owner'],
+    // CaseLifecycle decides which status changes each of these may make
+    transition: ['admin', 'owner'],
+    readHistory: ['admin', 'owner', 'hired', 'bidder'],
+    // Bidders can list bids but only ever see their own
+    readBids: ['admin', 'owner', 'bidder'],
+    readAllBids: ['admin', 'owner'],
+    readDocuments: ['admin', 'owner', 'hired'],
+    uploadDocument: ['admin', 'owner', 'hired'],
+    // Conversation.canParticipate then checks the lawyer being talked to
+    converse: ['owner', 'bidder']
+  },
+  bid: {
+    decide: ['owner'],
+    update: ['author'],
+    withdraw: ['author']
+  },
+  document: {
+    read: ['admin', 'owner', 'hired', 'recipient'],
+    delete: ['admin', 'owner', 'uploader']
+  },
+  conversation: {
+    read: ['participant'],
+    send: ['participant']
+  },
+  review: {
+    update: ['author'],
+    delete: ['admin', 'author']
+  }
+};
+
+const findCase = async id => {
+  const [cases] = await pool.execute('SELECT * FROM cases WHERE id = ?', [id]);
+  return cases[0] || null;
+};
+
+// How a user relates to a case
+const caseRelations = async (caseItem, user) => {
+  const relations = [];
+  if (caseItem.user_id === user.id) {
+    relations.push('owner');
+  }
+
+  if (user.role === 'lawyer') {
+    if (caseItem.status === 'open') {
+      relations.push('prospect');
+    }
+
+    const [bids] = await pool.execute(
+      'SELECT id FROM bids WHERE case_id = ? AND lawyer_id = ?',
+      [caseItem.id, user.id]
+    );
+    if (bids.length > 0) {
+      relations.push('bidder');
+      if (bids.some(bid => bid.id === caseItem.accepted_bid_id)) {
+        relations.push('hired');
+      }
+    }
+  }
+
+  return relations;
+};
+
+// Relationship resolvers by resource
+const RELATIONS = {
+  case: caseRelations,
+
+  bid: async (bid, user) => {
+    const relations = await caseRelations(await findCase(bid.case_id), user);
+    if (bid.lawyer_id === user.id) {
+      relations.push('author');
+    }
+    return relations;
+  },
+
+  document: async (document, user) => {
+    const relations = await caseRelations(await findCase(document.case_id), user);
+    const onCase = relations.includes('owner') || relations.includes('hired');
+    if (onCase && document.uploaded_by === user.id) {
+      relations.push('uploader');
+    }
+    if (await Conversation.hasAttachmentAccess(document.id, user)) {
+      relations.push('recipient');
+    }
+    return relations;
+  },
+
+  conversation: async (conversation, user) =>
+    Conversation.isParticipant(conversation, user) ? ['participant'] : [],
+
+  review: async (review, user) => (review.user_id === user.id ? ['author'] : [])
+};
+
+// Loaders for the resources a route can name by ID
+const LOADERS = {
+  case: findCase,
+  bid: async id => {
+    const [bids] = await pool.execute('SELECT * FROM bids WHERE id = ?', [id]);
+    return bids[0] || null;
+  },
+  document: id => Document.findById(id),
+  conversation: id => Conversation.findById(id),
+  review: id => Review.findById(id)
+};
+
+class Policy {
+  // Load a resource by ID
+  static async load(resource, id) {
+    return LOADERS[resource](id);
+  }
+
+  // Every relationship a user has to a resource (none when not logged in)
+  static async relationsTo(resource, item, user) {
+    if (!user) {
+      return new Set();
+    }
+
+    const relations = new Set(await RELATIONS[resource](item, user));
+    if (user.role === 'admin') {
+      relations.add('admin');
+    }
+    return relations;
+  }
+
+  // Whether any of the relationships grants the action
+  static allows(resource, action, relations) {
+    const allowed = POLICIES[resource]?.[action];
+    if (!allowed) {
+      throw new Error(`No policy for ${resource}.${action}`);
+    }
+    return allowed.some(relation => relations.has(relation));
+  }
+
+  // Whether a user may act on a resource that is already loaded
+  static async can(user, resource, action, item) {
+    return Policy.allows(resource, action, await Policy.relationsTo(resource, item, user));
+  }
+}
+
+export default Policy;
@@ -1,109 +1,135 @@
-const mongoose = require('mongoose');
-
-const reviewSchema = new mongoose.Schema({
-    rating: {
-        type: Number,
-        required: [true, 'Please provide a rating'],
-        min: 1,
-        max: 5
-    },
-    title: {
-        type: String,
-        required: [true, 'Please provide a title for your review'],
-        trim: true,
-        maxlength: [100, 'Title cannot be more than 100 characters']
-    },
-    comment: {
-        type: String,
-        required: [true, 'Please provide a comment'],
-        trim: true,
-        maxlength: [1000, 'Comment cannot be more than 1000 characters']
-    },
-    user: {
-        type: mongoose.Schema.ObjectId,
-        ref: 'User',
-        required: true
-    },
-    lawyer: {
-        type: mongoose.Schema.ObjectId,
-        ref: 'User',
-        required: true
-    },
-    casePost: {
-        type: mongoose.Schema.ObjectId,
-        ref: 'CasePost',
-        required: true
-    },
-    isAnonymous: {
-        type: Boolean,
-        default: false
-    }
-}, {
-    timestamps: true,
-    toJSON: { virtuals: true },
-    toObject: { virtuals: true }
-});
-
-// Prevent duplicate reviews from same user for same lawyer and case
-reviewSchema.index({ user: 1, lawyer: 1, casePost: 1 }, { unique: true });
-
-// Static method to get average rating for a lawyer
-reviewSchema.statics.getAverageRating = async function(lawyerId) {
-    const obj = await this.aggregate([
-        {
-            $match: { lawyer: lawyerId }
-        },
-        {
-            $group: {
-                _id: '$lawyer',
-                averageRating: { $avg: '$rating' },
-                reviewCount: { $sum: 1 }
-            }
-        }
-    ]);
+import pool from '../config/db.js';
 
-    try {
-        await this.model('User').findByIdAndUpdate(lawyerId, {
-            averageRating: obj[0] ? obj[0].averageRating.toFixed(1) : 0,
-            reviewCount: obj[0] ? obj[0].reviewCount : 0
-        });
-    } catch (err) {
-        console.error(err);
+// Review columns plus the reviewer's name, which is hidden for anonymous reviews
+const SELECT_REVIEW = `
+  SELECT r.*, u.name AS reviewer_name
+  FROM reviews r
+  JOIN users u ON r.user_id = u.id
+`;
+
+class Review {
+  // Hide who wrote an anonymous review
+  static format(row) {
+    const review = { ...row, is_anonymous: Boolean(row.is_anonymous) };
+    if (review.is_anonymous) {
+      review.user_id = null;
+      review.reviewer_name = 'Anonymous';
     }
-};
-
-// Call getAverageRating after save
-reviewSchema.post('save', function() {
-    this.constructor.getAverageRating(this.lawyer);
-});
-
-// Call getAverageRating after remove
-reviewSchema.post('remove', function() {
-    this.constructor.getAverageRating(this.lawyer);
-});
-
-// Pre-save hook to ensure user is a client and has a completed case with the lawyer
-reviewSchema.pre('save', async function(next) {
-    const user = await this.model('User').findById(this.user);
-    const casePost = await this.model('CasePost').findOne({
-        _id: this.casePost,
-        client: this.user,
-        status: 'completed',
-        acceptedBid: { $exists: true }
-    }).populate({
-        path: 'acceptedBid',
-        match: { lawyer: this.lawyer }
+    return review;
+  }
+
+  // Find the lawyer a client may review for a case: the case must belong to
+  // the client, be completed and have an accepted bid
+  static async findReviewableLawyer(caseId, userId) {
+    const query = `
+      SELECT b.lawyer_id
+      FROM cases c
+      JOIN bids b ON b.id = c.accepted_bid_id
+      WHERE c.id = ? AND c.user_id = ? AND c.status = 'completed'
+    `;
+
+    const [rows] = await pool.execute(query, [caseId, userId]);
+    return rows[0] ? rows[0].lawyer_id : null;
+  }
+
+  // Find review by ID (raw row, reviewer not hidden)
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM reviews WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  // Find one page of reviews for a lawyer, newest first
+  static async findByLawyer(lawyerId, { page = 1, limit = 20 } = {}) {
+    const [countRows] = await pool.execute(
+      'SELECT COUNT(*) AS total FROM reviews WHERE lawyer_id = ?',
+      [lawyerId]
+    );
+
+    const offset = (page - 1) * limit;
+    const [rows] = await pool.execute(
+      `${SELECT_REVIEW} WHERE r.lawyer_id = ? ORDER BY r.created_at DESC, r.id DESC
+       LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      [lawyerId]
+    );
+
+    return { total: countRows[0].total, reviews: rows.map(Review.format) };
+  }
+
+  // Create a review and refresh the lawyer's rating
+  static async create({ caseId, userId, lawyerId, rating, title, comment, isAnonymous = false }) {
+    return Review.withRatingUpdate(lawyerId, async connection => {
+      const [result] = await connection.execute(
+        `INSERT INTO reviews (case_id, user_id, lawyer_id, rating, title, comment, is_anonymous, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [caseId, userId, lawyerId, rating, title, comment, isAnonymous]
+      );
+      return result.insertId;
     });
+  }
 
-    if (user.role !== 'client') {
-        throw new Error('Only clients can leave reviews');
-    }
+  // Update a review and refresh the lawyer's rating
+  static async update(review, { rating, title, comment, isAnonymous }) {
+    return Review.withRatingUpdate(review.lawyer_id, async connection => {
+      await connection.execute(
+        `UPDATE reviews
+         SET rating = ?, title = ?, comment = ?, is_anonymous = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [
+          rating ?? review.rating,
+          title ?? review.title,
+          comment ?? review.comment,
+          isAnonymous ?? review.is_anonymous,
+          review.id
+        ]
+      );
+      return review.id;
+    });
+  }
+
+  // Delete a review and refresh the lawyer's rating
+  static async delete(review) {
+    await Review.withRatingUpdate(review.lawyer_id, async connection => {
+      await connection.execute('DELETE FROM reviews WHERE id = ?', [review.id]);
+    });
+  }
 
-    if (!casePost || !casePost.acceptedBid) {
-        throw new Error('You can only review lawyers you\'ve worked with on a completed case');
+  // Run a write in a transaction, then recalculate the lawyer's rating
+  // aggregates before committing so they never drift from the reviews table
+  static async withRatingUpdate(lawyerId, write) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      const reviewId = await write(connection);
+      await Review.updateLawyerRating(lawyerId, connection);
+      await connection.commit();
+
+      if (!reviewId) return null;
+      const [rows] = await pool.execute(`${SELECT_REVIEW} WHERE r.id = ?`, [reviewId]);
+      return Review.format(rows[0]);
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
     }
+  }
+
+  // Recalculate a lawyer's average rating and review count
+  static async updateLawyerRating(lawyerId, db = pool) {
+    const query = `
+      UPDATE lawyer_profiles lp
+      JOIN (
+        SELECT COUNT(*) AS quantity, COALESCE(ROUND(AVG(rating), 1), 0) AS average
+        FROM reviews
+        WHERE lawyer_id = ?
+      ) stats
+      SET lp.ratings_quantity = stats.quantity, lp.ratings_average = stats.average
+      WHERE lp.user_id = ?
+    `;
 
-    next();
-});
+    await db.execute(query, [lawyerId, lawyerId]);
+  }
+}
 
-module.exports = mongoose.model('Review', reviewSchema);
+export default Review;
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import pool from '../config/db.js';
+
+// Days a refresh token stays usable without being rotated
+const REFRESH_TOKEN_DAYS = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+const SESSION_COLUMNS = 'id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+class Session {
+  // Start a session for a device. Only the refresh token's hash is stored;
+  // the plain token is returned so it can be handed to the client.
+  static async create(userId, { userAgent = null, ipAddress = null } = {}) {
+    const refreshToken = Session.generateToken();
+
+    // Drop this user's dead sessions while we're here
+    await pool.execute(
+      'DELETE FROM sessions WHERE user_id = ? AND (expires_at <= NOW() OR revoked_at IS NOT NULL)',
+      [userId]
+    );
+
+    const [result] = await pool.execute(
+      `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+       VALUES (?, ?, ?, ?, NOW(), NOW(), DATE_ADD(NOW(), INTERVAL ${REFRESH_TOKEN_DAYS()} DAY))`,
+      [userId, Session.hashToken(refreshToken), userAgent ? userAgent.slice(0, 255) : null, ipAddress]
+    );
+
+    return { sessionId: result.insertId, refreshToken };
+  }
+
+  // Exchange a refresh token for a new one. Resolves to { session, refreshToken },
+  // or { message } when the token has to be rejected. Presenting a token that
+  // was already rotated means it was copied, so the whole session is revoked.
+  static async rotate(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return { message: 'Refresh token is required' };
+    }
+
+    const hash = Session.hashToken(refreshToken);
+
+    const [rows] = await pool.execute(
+      'SELECT * FROM sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()',
+      [hash]
+    );
+
+    if (rows.length === 0) {
+      const [reused] = await pool.execute(
+        'SELECT id FROM sessions WHERE previous_token_hash = ? AND revoked_at IS NULL',
+        [hash]
+      );
+      if (reused.length > 0) {
+        await Session.revoke(reused[0].id);
+        return { message: 'Refresh token was already used; the session has been revoked' };
+      }
+      return { message: 'Refresh token is invalid or has expired' };
+    }
+
+    const nextToken = Session.generateToken();
+
+    // Matching on the old hash makes concurrent refreshes with the same token
+    // succeed only once
+    const [result] = await pool.execute(
+      `UPDATE sessions
+       SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, last_used_at = NOW(),
+           expires_at = DATE_ADD(NOW(), INTERVAL ${REFRESH_TOKEN_DAYS()} DAY)
+       WHERE id = ? AND refresh_token_hash = ?`,
+      [Session.hashToken(nextToken), rows[0].id, hash]
+    );
+    if (result.affectedRows === 0) {
+      return { message: 'Refresh token is invalid or has expired' };
+    }
+
+    return { session: rows[0], refreshToken: nextToken };
+  }
+
+  // Check that a session is still live
+  static async isActive(id, userId) {
+    const [rows] = await pool.execute(
+      'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > NOW()',
+      [id, userId]
+    );
+    return rows.length > 0;
+  }
+
+  // List a user's live sessions, most recently used first
+  static async findActiveForUser(userId) {
+    const [rows] = await pool.execute(
+      `SELECT ${SESSION_COLUMNS} FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC, id DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  // Revoke one session
+  static async revoke(id) {
+    await pool.execute(
+      'UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+  }
+
+  // Revoke all of a user's sessions; returns how many were live
+  static async revokeAllForUser(userId) {
+    const [result] = await pool.execute(
+      'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+    return result.affectedRows;
+  }
+
+  static generateToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  // Hash a plain refresh token the way it is stored
+  static hashToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+}
+
+export default Session;
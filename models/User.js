@@ -1,5 +1,14 @@
 ﻿import pool from '../config/db.js';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { photoUrls } from '../utils/photos.js';
+
+// Columns safe to return for a user's own account
+const PUBLIC_COLUMNS = `id, name, email, role, phone, address, city, state, country, postal_code,
+  photo, active, pending_email, created_at, updated_at`;
+
+// Profile fields users can change themselves
+export const PROFILE_FIELDS = ['name', 'phone', 'address', 'city', 'state', 'country', 'postal_code'];
 
 class User {
   // Create new user
@@ -37,11 +46,14 @@ class User {
   
   // Find user by ID
   static async findById(id) {
-    const query = 'SELECT id, name, email, role, created_at, updated_at FROM users WHERE id = ?';
+    const query = `SELECT ${PUBLIC_COLUMNS}, password_changed_at, suspended_at FROM users WHERE id = ?`;
     
     try {
       const [rows] = await pool.execute(query, [id]);
-      return rows[0] || null;
+      if (rows.length === 0) {
+        return null;
+      }
+      return { ...rows[0], photo: photoUrls(rows[0].photo) };
     } catch (error) {
       throw error;
     }
@@ -51,6 +63,225 @@ class User {
   static async comparePassword(plainPassword, hashedPassword) {
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
+
+  // Check whether the password was changed after a JWT was issued (iat in seconds)
+  static changedPasswordAfter(user, issuedAt) {
+    if (!user.password_changed_at) {
+      return false;
+    }
+    const changedAt = Math.floor(new Date(user.password_changed_at).getTime() / 1000);
+    return changedAt > issuedAt;
+  }
+
+  // Create a password reset token, replacing any earlier one. Only its hash is
+  // stored; the plain token is returned so it can be emailed.
+  static async createPasswordResetToken(id) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const hashedToken = User.hashResetToken(resetToken);
+
+    const query = `
+      UPDATE users
+      SET password_reset_token = ?, password_reset_expires = DATE_ADD(NOW(), INTERVAL 10 MINUTE)
+      WHERE id = ?
+    `;
+
+    try {
+      await pool.execute(query, [hashedToken, id]);
+      return resetToken;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find user by an unexpired plain reset token
+  static async findByPasswordResetToken(resetToken) {
+    const query = `
+      SELECT id, name, email, role FROM users
+      WHERE password_reset_token = ? AND password_reset_expires > NOW()
+    `;
+
+    try {
+      const [rows] = await pool.execute(query, [User.hashResetToken(resetToken)]);
+      return rows[0] || null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Set a new password. Consumes any reset token and records the change so
+  // tokens issued before it stop working.
+  static async updatePassword(id, password) {
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const query = `
+      UPDATE users
+      SET password = ?, password_changed_at = NOW(),
+          password_reset_token = NULL, password_reset_expires = NULL, updated_at = NOW()
+      WHERE id = ?
+    `;
+
+    try {
+      await pool.execute(query, [hashedPassword, id]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Update the given profile fields; anything outside PROFILE_FIELDS is ignored
+  static async updateProfile(id, data) {
+    const fields = PROFILE_FIELDS.filter(field => data[field] !== undefined);
+    if (fields.length === 0) {
+      return;
+    }
+
+    const query = `
+      UPDATE users SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = NOW()
+      WHERE id = ?
+    `;
+
+    try {
+      await pool.execute(query, [...fields.map(field => data[field]), id]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Check a user's current password
+  static async verifyPassword(id, plainPassword) {
+    const query = 'SELECT password FROM users WHERE id = ?';
+
+    try {
+      const [rows] = await pool.execute(query, [id]);
+      return rows.length > 0 && User.comparePassword(plainPassword, rows[0].password);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Start an email change. The new address is held as pending until the
+  // emailed token is confirmed; the plain token is returned so it can be sent.
+  static async requestEmailChange(id, newEmail) {
+    const changeToken = crypto.randomBytes(32).toString('hex');
+
+    const query = `
+      UPDATE users
+      SET pending_email = ?, email_change_token = ?, email_change_expires = DATE_ADD(NOW(), INTERVAL 24 HOUR)
+      WHERE id = ?
+    `;
+
+    try {
+      await pool.execute(query, [newEmail, User.hashResetToken(changeToken), id]);
+      return changeToken;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Confirm an email change with its plain token. Returns the user's ID, or
+  // null if the token is invalid or expired.
+  static async confirmEmailChange(changeToken) {
+    const hashedToken = User.hashResetToken(changeToken);
+
+    try {
+      const [rows] = await pool.execute(
+        'SELECT id, pending_email FROM users WHERE email_change_token = ? AND email_change_expires > NOW()',
+        [hashedToken]
+      );
+      if (rows.length === 0) {
+        return null;
+      }
+
+      await pool.execute(
+        `UPDATE users
+         SET email = pending_email, pending_email = NULL, email_change_token = NULL,
+             email_change_expires = NULL, updated_at = NOW()
+         WHERE id = ?`,
+        [rows[0].id]
+      );
+      return rows[0].id;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Set (or clear, with null) a user's photo. Returns the name of the photo it
+  // replaced so its files can be removed.
+  static async setPhoto(id, photo) {
+    try {
+      const [rows] = await pool.execute('SELECT photo FROM users WHERE id = ?', [id]);
+      await pool.execute('UPDATE users SET photo = ?, updated_at = NOW() WHERE id = ?', [photo, id]);
+      return rows.length > 0 ? rows[0].photo : null;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Deactivate a user's own account (a soft delete; the data is kept)
+  static async deactivate(id, db = pool) {
+    const query = 'UPDATE users SET active = FALSE, updated_at = NOW() WHERE id = ?';
+
+    try {
+      await db.execute(query, [id]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Change a user's role
+  static async updateRole(id, role, db = pool) {
+    const query = 'UPDATE users SET role = ?, updated_at = NOW() WHERE id = ?';
+
+    try {
+      await db.execute(query, [role, id]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Suspend or reinstate a user
+  static async setSuspended(id, suspended, db = pool) {
+    const query = `
+      UPDATE users SET suspended_at = ${suspended ? 'COALESCE(suspended_at, NOW())' : 'NULL'}, updated_at = NOW()
+      WHERE id = ?
+    `;
+
+    try {
+      await db.execute(query, [id]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Delete user (their cases, bids and other records cascade)
+  static async delete(id, db = pool) {
+    const query = 'DELETE FROM users WHERE id = ?';
+
+    try {
+      await db.execute(query, [id]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Lock and return the IDs of admins who are neither deactivated nor
+  // suspended. Call inside a transaction so two admins can't demote each
+  // other at the same time.
+  static async lockActiveAdmins(db) {
+    const query = "SELECT id FROM users WHERE role = 'admin' AND active = TRUE AND suspended_at IS NULL FOR UPDATE";
+
+    try {
+      const [rows] = await db.execute(query);
+      return rows.map(row => row.id);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Hash a plain reset or email change token the way it is stored
+  static hashResetToken(resetToken) {
+    return crypto.createHash('sha256').update(resetToken).digest('hex');
+  }
 }
 
 export default User;
@@ -0,0 +1,90 @@
+import express from 'express';
+import { check } from 'express-validator';
+import {
+  getAllUsers,
+  getUser,
+  updateUser,
+  deleteUser
+} from '../controllers/userController.js';
+import {
+  getVerifications,
+  downloadProof,
+  reviewVerification,
+  VERIFICATION_STATUSES
+} from '../controllers/verificationController.js';
+import { getAuditLog, exportAuditLog } from '../controllers/auditController.js';
+import auth, { authorize } from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+
+const router = express.Router();
+
+// Everything here is for admins only
+router.use(auth, authorize('admin'));
+
+// Get all users
+router.get('/users', getAllUsers);
+
+// Get user by ID
+router.get('/users/:id', getUser);
+
+// Change role or suspend a user
+router.patch(
+  '/users/:id',
+  [
+    check('role', 'Role must be client, lawyer or admin')
+      .optional()
+      .isString()
+      .isIn(['client', 'lawyer', 'admin']),
+    check('suspended', 'suspended must be a boolean').optional().isBoolean({ strict: true }),
+    validate
+  ],
+  updateUser
+);
+
+// Delete a user
+router.delete('/users/:id', deleteUser);
+
+// Get license verification queue
+router.get(
+  '/verifications',
+  [
+    check('status', `Status must be one of: ${VERIFICATION_STATUSES.join(', ')}`)
+      .optional()
+      .isIn(VERIFICATION_STATUSES),
+    validate
+  ],
+  getVerifications
+);
+
+// Download license proof
+router.get('/verifications/:id/proof', downloadProof);
+
+// Approve or reject a verification request
+router.put(
+  '/verifications/:id',
+  [
+    check('decision', 'Decision must be approved or rejected').isString().isIn(['approved', 'rejected']),
+    check('reason', 'Reason cannot be more than 500 characters').optional().isString().isLength({ max: 500 }),
+    validate
+  ],
+  reviewVerification
+);
+
+// Filters shared by the audit log query and export
+const auditLogChecks = [
+  check('action', 'Invalid audit action').optional().isIn(AUDIT_ACTIONS),
+  check(['actor_id', 'target_id'], 'IDs must be positive integers').optional().isInt({ min: 1 }),
+  check(['created_at.gte', 'created_at.lte', 'created_at.gt', 'created_at.lt'], 'Dates must be ISO 8601')
+    .optional()
+    .isISO8601(),
+  validate
+];
+
+// Query the audit log, e.g. ?action=case.delete&created_at[gte]=2026-01-01
+router.get('/audit-log', auditLogChecks, getAuditLog);
+
+// Export the audit log as CSV
+router.get('/audit-log/export', auditLogChecks, exportAuditLog);
+
+export default router;
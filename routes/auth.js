@@ -1,7 +1,24 @@
 ﻿import express from 'express';
 import { check } from 'express-validator';
-import { register, login, getMe } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions
+} from '../controllers/authController.js';
 import auth from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import {
+  loginLimiter,
+  loginLockout,
+  registerLimiter,
+  passwordResetLimiter
+} from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -9,9 +26,12 @@ const router = express.Router();
 router.post(
   '/register',
   [
-    check('name', 'Name is required').not().isEmpty(),
-    check('email', 'Please include a valid email').isEmail(),
-    check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 })
+    registerLimiter,
+    check('name', 'Name is required').isString().not().isEmpty(),
+    check('email', 'Please include a valid email').isString().isEmail(),
+    check('password', 'Please enter a password with 6 or more characters').isString().isLength({ min: 6 }),
+    check('role', 'Role must be client or lawyer').optional().isString().isIn(['client', 'lawyer']),
+    validate
   ],
   register
 );
@@ -20,8 +40,11 @@ router.post(
 router.post(
   '/login',
   [
-    check('email', 'Please include a valid email').isEmail(),
-    check('password', 'Password is required').exists()
+    ...loginLimiter,
+    check('email', 'Please include a valid email').isString().isEmail(),
+    check('password', 'Password is required').isString(),
+    validate,
+    loginLockout
   ],
   login
 );
@@ -29,4 +52,44 @@ router.post(
 // Get logged in user
 router.get('/me', auth, getMe);
 
+// Rotate refresh token and get a new access token
+router.post(
+  '/refresh',
+  [
+    check('refresh_token', 'Refresh token is required').isString().notEmpty(),
+    validate
+  ],
+  refresh
+);
+
+// Log out of this device
+router.post('/logout', auth, logout);
+
+// Log out of all devices
+router.post('/logout-all', auth, logoutAll);
+
+// List active sessions
+router.get('/sessions', auth, getSessions);
+
+// Request a password reset email
+router.post(
+  '/forgot-password',
+  [
+    passwordResetLimiter,
+    check('email', 'Please include a valid email').isString().isEmail(),
+    validate
+  ],
+  forgotPassword
+);
+
+// Reset password with an emailed token
+router.post(
+  '/reset-password/:token',
+  [
+    check('password', 'Please enter a password with 6 or more characters').isString().isLength({ min: 6 }),
+    validate
+  ],
+  resetPassword
+);
+
 export default router;
@@ -3,35 +3,94 @@ import { check } from 'express-validator';
 import {
   createBid,
   getBidsByCase,
-  updateBidStatus
+  updateBidStatus,
+  getMyBids,
+  updateBid,
+  withdrawBid
 } from '../controllers/bidController.js';
-import auth from '../middleware/auth.js';
+import auth, { authorize } from '../middleware/auth.js';
+import can from '../middleware/policy.js';
+import validate from '../middleware/validate.js';
+import { bidLimiter } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+const BID_STATUSES = ['pending', 'accepted', 'rejected', 'withdrawn'];
+const TIME_UNITS = ['hours', 'days', 'weeks', 'months'];
+
 // Create new bid
 router.post(
   '/',
   [
     auth,
-    check('case_id', 'Case ID is required').not().isEmpty(),
-    check('amount', 'Bid amount is required').isNumeric(),
-    check('message', 'Bid message is required').not().isEmpty()
+    authorize('lawyer'),
+    ...bidLimiter,
+    check('case_id', 'Case ID is required').not().isArray().isInt({ min: 1 }),
+    check('amount', 'Bid amount must be a positive number').not().isArray().isFloat({ gt: 0 }),
+    check('message', 'Bid message is required').isString().not().isEmpty(),
+    check('currency', 'Currency must be a valid ISO 4217 code').optional().isString().isISO4217(),
+    check('estimated_time_value', 'Estimated time must be a positive number')
+      .optional()
+      .not().isArray()
+      .isInt({ min: 1 }),
+    check('estimated_time_unit', 'Please provide a time unit (hours, days, weeks, months)')
+      .optional()
+      .isString()
+      .isIn(TIME_UNITS),
+    validate
   ],
   createBid
 );
 
+// Get logged in lawyer's bids
+router.get(
+  '/mine',
+  [
+    auth,
+    authorize('lawyer'),
+    check('status', 'Invalid bid status').optional().isIn(BID_STATUSES),
+    validate
+  ],
+  getMyBids
+);
+
 // Get bids for a case
-router.get('/case/:caseId', auth, getBidsByCase);
+router.get('/case/:caseId', auth, can('case', 'readBids', 'caseId'), getBidsByCase);
 
 // Update bid status (accept/reject)
 router.put(
   '/:id/status',
   [
     auth,
-    check('status', 'Status is required').isIn(['accepted', 'rejected'])
+    can('bid', 'decide'),
+    check('status', 'Status is required').isString().isIn(['accepted', 'rejected']),
+    validate
   ],
   updateBidStatus
 );
 
+// Edit a pending bid
+router.put(
+  '/:id',
+  [
+    auth,
+    can('bid', 'update'),
+    check('amount', 'Bid amount must be a positive number').optional().not().isArray().isFloat({ gt: 0 }),
+    check('message', 'Bid message cannot be empty').optional().isString().not().isEmpty(),
+    check('estimated_time_value', 'Estimated time must be a positive number')
+      .optional()
+      .not().isArray()
+      .isInt({ min: 1 }),
+    check('estimated_time_unit', 'Please provide a time unit (hours, days, weeks, months)')
+      .optional()
+      .isString()
+      .isIn(TIME_UNITS),
+    validate
+  ],
+  updateBid
+);
+
+// Withdraw a pending bid
+router.put('/:id/withdraw', auth, can('bid', 'withdraw'), withdrawBid);
+
 export default router;
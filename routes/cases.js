@@ -5,26 +5,71 @@ import {
   getCaseById,
   createCase,
   updateCase,
-  deleteCase
+  deleteCase,
+  transitionCase,
+  getCaseHistory
 } from '../controllers/caseController.js';
-import auth from '../middleware/auth.js';
+import {
+  uploadCaseDocument,
+  getCaseDocuments
+} from '../controllers/documentController.js';
+import {
+  getCaseConversations,
+  startConversation
+} from '../controllers/conversationController.js';
+import auth, { authorize } from '../middleware/auth.js';
+import can from '../middleware/policy.js';
+import validate from '../middleware/validate.js';
+import { CASE_STATUSES } from '../models/CaseLifecycle.js';
+import { uploadDocument } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// Get all cases
-router.get('/', auth, getAllCases);
+// Optional case details shared by create and update
+const caseDetailChecks = [
+  check('budget', 'Budget must be a non-negative number')
+    .optional({ values: 'null' })
+    .not().isArray()
+    .isFloat({ min: 0 }),
+  check('currency', 'Currency must be a valid ISO 4217 code').optional().isString().isISO4217(),
+  check('deadline', 'Deadline must be a date in the future')
+    .optional({ values: 'null' })
+    .isString()
+    .isISO8601()
+    .custom(value => new Date(value) > new Date()),
+  check('location', 'Location cannot be more than 255 characters')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 255 }),
+  // Strict, so the string "false" is refused rather than read as true
+  check('is_remote', 'is_remote must be true or false').optional().isBoolean({ strict: true })
+];
+
+// Get all cases (optionally searched with ?q=keywords)
+router.get(
+  '/',
+  [
+    auth,
+    check('q', 'Search cannot be more than 200 characters').optional().isLength({ max: 200 }),
+    validate
+  ],
+  getAllCases
+);
 
 // Get case by ID
-router.get('/:id', auth, getCaseById);
+router.get('/:id', auth, can('case', 'read'), getCaseById);
 
 // Create new case
 router.post(
   '/',
   [
     auth,
-    check('title', 'Title is required').not().isEmpty(),
-    check('description', 'Description is required').not().isEmpty(),
-    check('category', 'Category is required').not().isEmpty()
+    authorize('client'),
+    check('title', 'Title is required').isString().not().isEmpty(),
+    check('description', 'Description is required').isString().not().isEmpty(),
+    check('category', 'Category is required').isString().not().isEmpty(),
+    ...caseDetailChecks,
+    validate
   ],
   createCase
 );
@@ -34,14 +79,54 @@ router.put(
   '/:id',
   [
     auth,
-    check('title', 'Title is required').not().isEmpty(),
-    check('description', 'Description is required').not().isEmpty(),
-    check('category', 'Category is required').not().isEmpty()
+    can('case', 'update'),
+    check('title', 'Title is required').isString().not().isEmpty(),
+    check('description', 'Description is required').isString().not().isEmpty(),
+    check('category', 'Category is required').isString().not().isEmpty(),
+    ...caseDetailChecks,
+    validate
   ],
   updateCase
 );
 
 // Delete case
-router.delete('/:id', auth, deleteCase);
+router.delete('/:id', auth, can('case', 'delete'), deleteCase);
+
+// Change case status
+router.post(
+  '/:id/transitions',
+  [
+    auth,
+    can('case', 'transition'),
+    check('status', 'Status is required').isString().isIn(CASE_STATUSES),
+    check('note', 'Note cannot be more than 500 characters').optional().isString().isLength({ max: 500 }),
+    validate
+  ],
+  transitionCase
+);
+
+// Get case status history
+router.get('/:id/transitions', auth, can('case', 'readHistory'), getCaseHistory);
+
+// Upload a document to a case
+router.post('/:id/documents', [auth, can('case', 'uploadDocument'), uploadDocument], uploadCaseDocument);
+
+// List a case's documents
+router.get('/:id/documents', auth, can('case', 'readDocuments'), getCaseDocuments);
+
+// Get logged in user's conversations about a case
+router.get('/:id/conversations', auth, can('case', 'converse'), getCaseConversations);
+
+// Start a conversation between the client and a lawyer
+router.post(
+  '/:id/conversations',
+  [
+    auth,
+    can('case', 'converse'),
+    check('lawyer_id', 'Lawyer ID must be a number').optional().not().isArray().isInt({ min: 1 }),
+    validate
+  ],
+  startConversation
+);
 
 export default router;
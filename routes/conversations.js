@@ -0,0 +1,58 @@
+import express from 'express';
+import { check } from 'express-validator';
+import {
+  getMyConversations,
+  getMessages,
+  sendMessage,
+  markConversationRead
+} from '../controllers/conversationController.js';
+import auth from '../middleware/auth.js';
+import can from '../middleware/policy.js';
+import validate from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Get logged in user's conversations
+router.get('/', auth, getMyConversations);
+
+// Get messages in a conversation
+router.get(
+  '/:id/messages',
+  [
+    auth,
+    can('conversation', 'read'),
+    check('before', 'Cursor must be a message ID').optional().isInt({ min: 1 }),
+    check('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 }),
+    validate
+  ],
+  getMessages
+);
+
+// Send a message
+router.post(
+  '/:id/messages',
+  [
+    auth,
+    can('conversation', 'send'),
+    check('body', 'Message is required').isString().not().isEmpty(),
+    check('body', 'Message cannot be more than 5000 characters').isString().isLength({ max: 5000 }),
+    check('document_ids', 'Attachments must be a list of document IDs').optional().isArray({ max: 10 }),
+    check('document_ids.*', 'Attachments must be a list of document IDs').not().isArray().isInt({ min: 1 }),
+    validate
+  ],
+  sendMessage
+);
+
+// Mark messages as read
+router.post(
+  '/:id/read',
+  [
+    auth,
+    can('conversation', 'read'),
+    check('up_to', 'up_to must be a message ID').optional().isInt({ min: 1 }),
+    validate
+  ],
+  markConversationRead
+);
+
+export default router;
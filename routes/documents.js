@@ -0,0 +1,14 @@
+import express from 'express';
+import { downloadDocument, deleteDocument } from '../controllers/documentController.js';
+import auth from '../middleware/auth.js';
+import can from '../middleware/policy.js';
+
+const router = express.Router();
+
+// Download document
+router.get('/:id', auth, can('document', 'read'), downloadDocument);
+
+// Delete document
+router.delete('/:id', auth, can('document', 'delete'), deleteDocument);
+
+export default router;
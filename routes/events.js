@@ -0,0 +1,9 @@
+import express from 'express';
+import { streamEvents } from '../controllers/eventController.js';
+
+const router = express.Router();
+
+// Subscribe to real-time events; authenticates inside the controller
+router.get('/', streamEvents);
+
+export default router;
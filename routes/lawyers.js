@@ -0,0 +1,114 @@
+import express from 'express';
+import { check } from 'express-validator';
+import {
+  searchLawyers,
+  getMyProfile,
+  updateMyProfile,
+  getLawyerById
+} from '../controllers/lawyerController.js';
+import { getLawyerReviews } from '../controllers/reviewController.js';
+import { submitVerification, getMyVerifications } from '../controllers/verificationController.js';
+import auth, { authorize } from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import { uploadProof } from '../middleware/upload.js';
+import {
+  SPECIALIZATIONS,
+  PROFICIENCIES,
+  PAYMENT_METHODS
+} from '../models/LawyerProfile.js';
+
+const router = express.Router();
+
+// Search lawyers
+router.get(
+  '/',
+  [
+    // Repeated parameters arrive as arrays, so each must be checked to be a string
+    check('q', 'Search must be text of at most 200 characters').optional().isString().isLength({ max: 200 }),
+    check('specialization', 'Please select a valid specialization')
+      .optional()
+      .isString()
+      .custom(value => value.split(',').every(s => SPECIALIZATIONS.includes(s.trim()))),
+    check('language', 'Language must be text of at most 100 characters')
+      .optional()
+      .isString()
+      .isLength({ max: 100 }),
+    check('proficiency', 'Please select a valid proficiency').optional().isString().isIn(PROFICIENCIES),
+    check(['minRate', 'maxRate', 'maxFee'], 'Rates must be non-negative numbers')
+      .optional()
+      .isFloat({ min: 0 }),
+    check('lat', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('lng', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+    check('radius', 'Radius must be a positive number of kilometres').optional().isFloat({ gt: 0 }),
+    check('sort', 'Sort must be one of rating, experience, price, distance or relevance')
+      .optional()
+      .isString()
+      .isIn(['rating', 'experience', 'price', 'distance', 'relevance'].flatMap(f => [f, `-${f}`])),
+    validate
+  ],
+  searchLawyers
+);
+
+// Get logged in lawyer's profile
+router.get('/me/profile', auth, authorize('lawyer'), getMyProfile);
+
+// Create or update logged in lawyer's profile
+router.put(
+  '/me/profile',
+  [
+    auth,
+    authorize('lawyer'),
+    check('bio', 'Bio cannot be more than 2000 characters').optional().isString().isLength({ max: 2000 }),
+    check('specializations', 'Specializations must be a list').optional().isArray(),
+    check('specializations.*', 'Please select a valid specialization').isString().isIn(SPECIALIZATIONS),
+    check('experience', 'Experience cannot be negative').optional().not().isArray().isInt({ min: 0 }),
+    check('education', 'Education must be a list').optional().isArray(),
+    check('education.*.degree', 'Please provide a degree').isString().not().isEmpty(),
+    check('education.*.institution', 'Please provide an institution').isString().not().isEmpty(),
+    check('education.*.fieldOfStudy', 'Please provide a field of study').isString().not().isEmpty(),
+    check('education.*.from', 'Please provide a start date').isString().isISO8601(),
+    check('languages', 'Languages must be a list').optional().isArray(),
+    check('languages.*.language', 'Please provide a language').isString().not().isEmpty(),
+    check('languages.*.proficiency', 'Please select a valid proficiency')
+      .optional()
+      .isString()
+      .isIn(PROFICIENCIES),
+    check('hourlyRate', 'Hourly rate cannot be negative').optional().not().isArray().isFloat({ min: 0 }),
+    check('consultationFee', 'Consultation fee cannot be negative')
+      .optional()
+      .not().isArray()
+      .isFloat({ min: 0 }),
+    check('location.coordinates', 'Coordinates must be [longitude, latitude]')
+      .optional()
+      .isArray({ min: 2, max: 2 }),
+    check('paymentMethods', 'Payment methods must be a list').optional().isArray(),
+    check('paymentMethods.*', 'Please select a valid payment method').isString().isIn(PAYMENT_METHODS),
+    validate
+  ],
+  updateMyProfile
+);
+
+// Submit license for verification
+router.post(
+  '/me/verification',
+  [
+    auth,
+    authorize('lawyer'),
+    uploadProof,
+    check('license_number', 'License number is required').isString().trim().notEmpty().isLength({ max: 100 }),
+    check('license_state', 'License state is required').isString().trim().notEmpty().isLength({ max: 100 }),
+    validate
+  ],
+  submitVerification
+);
+
+// Get logged in lawyer's verification requests
+router.get('/me/verification', auth, authorize('lawyer'), getMyVerifications);
+
+// Get a lawyer's public profile
+router.get('/:id', getLawyerById);
+
+// Get reviews for a lawyer
+router.get('/:id/reviews', getLawyerReviews);
+
+export default router;
@@ -0,0 +1,43 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences
+} from '../controllers/notificationController.js';
+import auth from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import { EVENT_TYPES } from '../models/Notification.js';
+
+const router = express.Router();
+
+// Get notifications
+router.get('/', auth, getNotifications);
+
+// Mark all notifications as read
+router.put('/read-all', auth, markAllNotificationsRead);
+
+// Get notification preferences
+router.get('/preferences', auth, getPreferences);
+
+// Update notification preferences
+router.put(
+  '/preferences',
+  [
+    auth,
+    body('*', `Preferences can be set for: ${EVENT_TYPES.join(', ')}`).custom((value, { path }) =>
+      EVENT_TYPES.includes(path)
+    ),
+    body('*.in_app', 'in_app must be a boolean').optional().isBoolean({ strict: true }),
+    body('*.email', 'email must be a boolean').optional().isBoolean({ strict: true }),
+    validate
+  ],
+  updatePreferences
+);
+
+// Mark a notification as read
+router.put('/:id/read', auth, markNotificationRead);
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import { check } from 'express-validator';
+import {
+  createReview,
+  updateReview,
+  deleteReview
+} from '../controllers/reviewController.js';
+import auth, { authorize } from '../middleware/auth.js';
+import can from '../middleware/policy.js';
+import validate from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Create review
+router.post(
+  '/',
+  [
+    auth,
+    authorize('client'),
+    check('case_id', 'Case ID is required').not().isArray().isInt({ min: 1 }),
+    check('rating', 'Rating must be between 1 and 5').not().isArray().isInt({ min: 1, max: 5 }),
+    check('title', 'Please provide a title for your review').isString().not().isEmpty(),
+    check('title', 'Title cannot be more than 100 characters').isString().isLength({ max: 100 }),
+    check('comment', 'Please provide a comment').isString().not().isEmpty(),
+    check('comment', 'Comment cannot be more than 1000 characters').isString().isLength({ max: 1000 }),
+    // Strict, so the string "false" is refused rather than read as true
+    check('is_anonymous', 'is_anonymous must be true or false').optional().isBoolean({ strict: true }),
+    validate
+  ],
+  createReview
+);
+
+// Update review
+router.put(
+  '/:id',
+  [
+    auth,
+    can('review', 'update'),
+    check('rating', 'Rating must be between 1 and 5').optional().not().isArray().isInt({ min: 1, max: 5 }),
+    check('title', 'Title cannot be more than 100 characters')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 100 }),
+    check('comment', 'Comment cannot be more than 1000 characters')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 1000 }),
+    check('is_anonymous', 'is_anonymous must be true or false').optional().isBoolean({ strict: true }),
+    validate
+  ],
+  updateReview
+);
+
+// Delete review
+router.delete('/:id', auth, can('review', 'delete'), deleteReview);
+
+export default router;
@@ -0,0 +1,67 @@
+import express from 'express';
+import { check } from 'express-validator';
+import {
+  updateMe,
+  updateMyPassword,
+  deleteMe,
+  verifyEmail,
+  updateMyPhoto,
+  deleteMyPhoto,
+  getPhoto
+} from '../controllers/userController.js';
+import auth from '../middleware/auth.js';
+import validate from '../middleware/validate.js';
+import { uploadPhoto } from '../middleware/upload.js';
+
+const router = express.Router();
+
+// Update own profile
+router.patch(
+  '/me',
+  [
+    auth,
+    check('name', 'Name cannot be empty').optional().isString().trim().notEmpty(),
+    check('email', 'Please include a valid email').optional().isString().isEmail(),
+    check('phone', 'Phone number is too long').optional({ nullable: true }).isString().isLength({ max: 30 }),
+    check('address', 'Address is too long').optional({ nullable: true }).isString().isLength({ max: 255 }),
+    check(['city', 'state', 'country'], 'Must be 100 characters or fewer')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 100 }),
+    check('postal_code', 'Postal code is too long')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 20 }),
+    validate
+  ],
+  updateMe
+);
+
+// Change own password
+router.patch(
+  '/me/password',
+  [
+    auth,
+    check('current_password', 'Current password is required').isString(),
+    check('password', 'Please enter a password with 6 or more characters').isString().isLength({ min: 6 }),
+    validate
+  ],
+  updateMyPassword
+);
+
+// Deactivate own account
+router.delete('/me', auth, deleteMe);
+
+// Upload or replace own photo
+router.put('/me/photo', auth, uploadPhoto, updateMyPhoto);
+
+// Remove own photo
+router.delete('/me/photo', auth, deleteMyPhoto);
+
+// Serve a photo
+router.get('/photos/:file', getPhoto);
+
+// Confirm an email change with an emailed token
+router.post('/verify-email/:token', verifyEmail);
+
+export default router;
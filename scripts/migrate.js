@@ -0,0 +1,54 @@
+import pool from '../config/db.js';
+import { ensureDatabase, migrate, rollback, status, createMigration } from '../utils/migrator.js';
+
+const list = migrations => migrations.map(m => `  ${m.version}_${m.name}`).join('\n');
+
+const commands = {
+  // npm run migrate
+  async up() {
+    await ensureDatabase();
+    const ran = await migrate();
+    console.log(ran.length ? `Ran ${ran.length} migration(s):\n${list(ran)}` : 'Database is up to date');
+  },
+
+  // npm run migrate:rollback
+  async down() {
+    const rolledBack = await rollback();
+    console.log(
+      rolledBack.length
+        ? `Rolled back ${rolledBack.length} migration(s):\n${list(rolledBack)}`
+        : 'Nothing to roll back'
+    );
+  },
+
+  // npm run migrate:status
+  async status() {
+    const migrations = await status();
+    migrations.forEach(m => {
+      const state = m.missing ? 'missing' : m.batch ? `batch ${m.batch}` : 'pending';
+      console.log(`${String(m.version).padStart(3, '0')}_${m.name}`.padEnd(48), state);
+    });
+  },
+
+  // npm run migrate:make -- <name>
+  async make(...words) {
+    const file = await createMigration(words.join(' '));
+    console.log(`Created ${file}`);
+  }
+};
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+  process.exitCode = 1;
+} else {
+  try {
+    await commands[command](...args);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
@@ -0,0 +1,15 @@
+import pool from '../config/db.js';
+import seedAdmin from '../seeds/admin.js';
+import seedDemo from '../seeds/demo.js';
+
+// npm run seed creates the admin account; npm run seed:demo loads demo data
+const seed = process.argv.includes('--demo') ? seedDemo : seedAdmin;
+
+try {
+  console.log(await seed());
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
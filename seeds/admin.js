@@ -0,0 +1,25 @@
+import User from '../models/User.js';
+
+// Create the admin account from ADMIN_EMAIL and ADMIN_PASSWORD (and
+// optionally ADMIN_NAME). An existing account with that email is left as it is.
+// Resolves to a line describing what happened.
+export const seedAdmin = async () => {
+  const { ADMIN_NAME: name = 'Admin', ADMIN_EMAIL: email, ADMIN_PASSWORD: password } = process.env;
+
+  if (!email || !password) {
+    throw new Error('Set ADMIN_EMAIL and ADMIN_PASSWORD to create the admin account');
+  }
+  if (password.length < 12) {
+    throw new Error('ADMIN_PASSWORD must be at least 12 characters');
+  }
+
+  const existing = await User.findByEmail(email);
+  if (existing) {
+    return `${email} already exists as a ${existing.role}; left unchanged`;
+  }
+
+  await User.create({ name, email, password, role: 'admin' });
+  return `Created admin ${email}`;
+};
+
+export default seedAdmin;
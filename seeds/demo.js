@@ -0,0 +1,183 @@
+import pool from '../config/db.js';
+import User from '../models/User.js';
+import LawyerProfile from '../models/LawyerProfile.js';
+import CaseLifecycle from '../models/CaseLifecycle.js';
+
+// Sample clients, lawyers, cases and bids for local development. Every demo
+// account shares DEMO_PASSWORD (default "demo-password").
+const CLIENTS = [
+  { key: 'alice', name: 'Alice Morgan', email: 'alice.client@example.com' },
+  { key: 'ben', name: 'Ben Okafor', email: 'ben.client@example.com' }
+];
+
+const LAWYERS = [
+  {
+    key: 'carla',
+    name: 'Carla Reyes',
+    email: 'carla.lawyer@example.com',
+    license: { number: 'NY-204981', state: 'New York' },
+    profile: {
+      bio: 'Family lawyer focused on custody, divorce and mediated settlements.',
+      specializations: ['Family Law'],
+      experience: 9,
+      hourlyRate: 180,
+      consultationFee: 50,
+      location: { city: 'New York', state: 'NY', country: 'USA', coordinates: [-73.9857, 40.7484] },
+      languages: [
+        { language: 'English', proficiency: 'Native' },
+        { language: 'Spanish', proficiency: 'Fluent' }
+      ],
+      paymentMethods: ['credit_card', 'bank_transfer']
+    }
+  },
+  {
+    key: 'dan',
+    name: 'Dan Whitfield',
+    email: 'dan.lawyer@example.com',
+    license: { number: 'CA-118230', state: 'California' },
+    profile: {
+      bio: 'Corporate counsel for startups: incorporation, shareholder agreements and financing rounds.',
+      specializations: ['Corporate Law', 'Intellectual Property'],
+      experience: 14,
+      hourlyRate: 260,
+      consultationFee: 0,
+      location: { city: 'San Francisco', state: 'CA', country: 'USA', coordinates: [-122.4194, 37.7749] },
+      languages: [{ language: 'English', proficiency: 'Native' }],
+      paymentMethods: ['credit_card', 'paypal']
+    }
+  },
+  {
+    // Not yet verified, so cannot bid
+    key: 'erin',
+    name: 'Erin Walsh',
+    email: 'erin.lawyer@example.com',
+    profile: {
+      bio: 'Employment lawyer representing employees in workplace disputes.',
+      specializations: ['Employment'],
+      experience: 3,
+      hourlyRate: 120,
+      location: { city: 'Chicago', state: 'IL', country: 'USA', coordinates: [-87.6298, 41.8781] }
+    }
+  }
+];
+
+const CASES = [
+  {
+    client: 'alice',
+    title: 'Custody arrangement after divorce',
+    description: 'I need help agreeing a shared custody schedule for two children with my former spouse.',
+    category: 'Family Law',
+    budget: 2500,
+    bids: [
+      {
+        lawyer: 'carla',
+        amount: 2200,
+        message: 'I handle custody agreements weekly and can start on Monday.',
+        time: [3, 'weeks']
+      }
+    ]
+  },
+  {
+    client: 'ben',
+    title: 'Shareholder agreement for a new startup',
+    description: 'Three co-founders need a shareholder agreement with vesting and a buy-back clause.',
+    category: 'Corporate Law',
+    budget: 4000,
+    is_remote: true,
+    bids: [
+      {
+        lawyer: 'dan',
+        amount: 3500,
+        message: 'I have drafted dozens of these for early stage companies.',
+        time: [2, 'weeks'],
+        hired: true
+      }
+    ]
+  },
+  {
+    client: 'alice',
+    title: 'Landlord is withholding my deposit',
+    description: 'My landlord has kept my full deposit for damage that was there when I moved in.',
+    category: 'Real Estate',
+    budget: 600,
+    bids: []
+  }
+];
+
+// Load the demo data unless it is already there. Refuses to run in production.
+// Resolves to a line describing what happened.
+export const seedDemo = async () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Demo data is for local development and cannot be loaded in production');
+  }
+
+  if (await User.findByEmail(CLIENTS[0].email)) {
+    return 'Demo data is already loaded';
+  }
+
+  const password = process.env.DEMO_PASSWORD || 'demo-password';
+  const users = {};
+
+  for (const client of CLIENTS) {
+    users[client.key] = await User.create({ ...client, password, role: 'client' });
+  }
+
+  for (const lawyer of LAWYERS) {
+    const user = await User.create({ ...lawyer, password, role: 'lawyer' });
+    users[lawyer.key] = user;
+    await LawyerProfile.upsert(user.id, lawyer.profile);
+
+    if (lawyer.license) {
+      await pool.execute(
+        `UPDATE lawyer_profiles
+         SET license_number = ?, license_state = ?, license_verified = TRUE, is_verified = TRUE
+         WHERE user_id = ?`,
+        [lawyer.license.number, lawyer.license.state, user.id]
+      );
+    }
+  }
+
+  for (const item of CASES) {
+    const client = users[item.client];
+    const [result] = await pool.execute(
+      `INSERT INTO cases (
+         user_id, title, description, category, budget, currency, is_remote, status, created_at, updated_at
+       )
+       VALUES (?, ?, ?, ?, ?, 'USD', ?, 'open', NOW(), NOW())`,
+      [client.id, item.title, item.description, item.category, item.budget, Boolean(item.is_remote)]
+    );
+    const caseId = result.insertId;
+    await CaseLifecycle.record(pool, caseId, null, 'open', client.id);
+
+    for (const bid of item.bids) {
+      const [bidResult] = await pool.execute(
+        `INSERT INTO bids (
+           case_id, lawyer_id, amount, currency, message,
+           estimated_time_value, estimated_time_unit, status, created_at
+         )
+         VALUES (?, ?, ?, 'USD', ?, ?, ?, ?, NOW())`,
+        [caseId, users[bid.lawyer].id, bid.amount, bid.message, ...bid.time, bid.hired ? 'accepted' : 'pending']
+      );
+
+      if (bid.hired) {
+        await pool.execute(
+          "UPDATE cases SET status = 'in_progress', accepted_bid_id = ? WHERE id = ?",
+          [bidResult.insertId, caseId]
+        );
+        await CaseLifecycle.record(
+          pool,
+          caseId,
+          'open',
+          'in_progress',
+          client.id,
+          `Bid #${bidResult.insertId} accepted`
+        );
+      }
+    }
+  }
+
+  const emails = [...CLIENTS, ...LAWYERS].map(user => `  ${user.email}`).join('\n');
+  return `Loaded demo data. Log in with password "${password}" as:\n${emails}`;
+};
+
+export default seedDemo;
@@ -4,33 +4,54 @@ import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import caseRoutes from './routes/cases.js';
 import bidRoutes from './routes/bids.js';
+import lawyerRoutes from './routes/lawyers.js';
+import reviewRoutes from './routes/reviews.js';
+import documentRoutes from './routes/documents.js';
+import conversationRoutes from './routes/conversations.js';
+import notificationRoutes from './routes/notifications.js';
+import eventRoutes from './routes/events.js';
+import adminRoutes from './routes/admin.js';
+import userRoutes from './routes/users.js';
+import errorHandler, { notFound } from './middleware/errorHandler.js';
+import { apiLimiter } from './middleware/rateLimit.js';
 
 dotenv.config();
 
 const app = express();
 
+// Behind a proxy (e.g. on Render), trust that many hops so req.ip is the client's
+// address and rate limits are counted per client
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || false);
+
 // Middleware
 app.use(cors({
   origin: ['https://advosia-backend.onrender.com', 'http://localhost:3000'],
   credentials: true
 }));
 app.use(express.json());
+app.use('/api', apiLimiter);
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/cases', caseRoutes);
 app.use('/api/bids', bidRoutes);
+app.use('/api/lawyers', lawyerRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Test route
 app.get('/api/test', (req, res) => {
   res.json({ message: 'API is working!' });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: 'Something went wrong!' });
-});
+// Unknown routes, then one handler for every error
+app.use(notFound);
+app.use(errorHandler);
 
 // Start server
 const PORT = process.env.PORT || 5001;
@@ -0,0 +1,223 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import pool from '../config/db.js';
+import Policy, { POLICIES } from '../models/Policy.js';
+
+// The people every policy is checked against
+const ACTORS = {
+  owner: { id: 1, role: 'client' },
+  otherClient: { id: 2, role: 'client' },
+  prospect: { id: 3, role: 'lawyer' },
+  bidder: { id: 4, role: 'lawyer' },
+  hired: { id: 5, role: 'lawyer' },
+  admin: { id: 6, role: 'admin' },
+  anonymous: null
+};
+
+// A case posted by the owner with bids from the bidder and the lawyer who is
+// (or will be) hired. The owner shared a document with the bidder while
+// bidding was open, and has a conversation with each lawyer.
+const openCase = () => ({
+  cases: [{ id: 10, user_id: 1, status: 'open', accepted_bid_id: null }],
+  bids: [
+    { id: 20, case_id: 10, lawyer_id: 4, status: 'pending' },
+    { id: 21, case_id: 10, lawyer_id: 5, status: 'pending' }
+  ],
+  documents: [{ id: 30, case_id: 10, uploaded_by: 1 }],
+  conversations: [
+    { id: 40, case_id: 10, lawyer_id: 4 },
+    { id: 41, case_id: 10, lawyer_id: 5 }
+  ],
+  attachments: [{ conversation_id: 40, document_id: 30 }],
+  reviews: [{ id: 50, case_id: 10, user_id: 1, lawyer_id: 5 }]
+});
+
+// The same case once the owner has accepted the second bid
+const hiredCase = () => {
+  const db = openCase();
+  db.cases[0] = { ...db.cases[0], status: 'in_progress', accepted_bid_id: 21 };
+  db.bids[0].status = 'rejected';
+  db.bids[1].status = 'accepted';
+  return db;
+};
+
+// Conversations as Conversation's queries return them, with both sides, the
+// lawyer's bid and the hire
+const conversationRow = (db, conversation) => {
+  const caseItem = db.cases.find(c => c.id === conversation.case_id);
+  const hired = db.bids.find(bid => bid.id === caseItem.accepted_bid_id);
+  const bid = db.bids.find(b => b.case_id === caseItem.id && b.lawyer_id === conversation.lawyer_id);
+  return {
+    ...conversation,
+    client_id: caseItem.user_id,
+    accepted_bid_id: caseItem.accepted_bid_id,
+    hired_lawyer_id: hired ? hired.lawyer_id : null,
+    lawyer_bid_status: bid ? bid.status : null
+  };
+};
+
+// Answers the queries Policy makes from the fixture above
+const fakeExecute = db => async (sql, params) => {
+  if (/FROM cases WHERE id = \?/.test(sql)) {
+    return [db.cases.filter(c => c.id === Number(params[0]))];
+  }
+  if (/FROM bids WHERE case_id = \? AND lawyer_id = \?/.test(sql)) {
+    return [db.bids.filter(bid => bid.case_id === params[0] && bid.lawyer_id === params[1])];
+  }
+  if (/message_attachments/.test(sql)) {
+    const [documentId, userId] = params;
+    const rows = db.attachments
+      .filter(attachment => attachment.document_id === documentId)
+      .map(attachment => conversationRow(db, db.conversations.find(c => c.id === attachment.conversation_id)))
+      .filter(row => row.client_id === userId || row.lawyer_id === userId);
+    return [rows];
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+// Who may take each action, by actor
+const MATRIX = {
+  'while open for bidding': {
+    fixture: openCase,
+    items: db => ({
+      case: db.cases[0],
+      bid: db.bids[0],
+      document: db.documents[0],
+      conversation: conversationRow(db, db.conversations[0]),
+      review: db.reviews[0]
+    }),
+    expected: {
+      case: {
+        read: ['owner', 'prospect', 'bidder', 'hired', 'admin'],
+        update: ['owner', 'admin'],
+        delete: ['owner', 'admin'],
+        transition: ['owner', 'admin'],
+        readHistory: ['owner', 'bidder', 'hired', 'admin'],
+        readBids: ['owner', 'bidder', 'hired', 'admin'],
+        readAllBids: ['owner', 'admin'],
+        readDocuments: ['owner', 'admin'],
+        uploadDocument: ['owner', 'admin'],
+        converse: ['owner', 'bidder', 'hired']
+      },
+      bid: {
+        decide: ['owner'],
+        update: ['bidder'],
+        withdraw: ['bidder']
+      },
+      document: {
+        read: ['owner', 'bidder', 'admin'],
+        delete: ['owner', 'admin']
+      },
+      conversation: {
+        read: ['owner', 'bidder'],
+        send: ['owner', 'bidder']
+      },
+      review: {
+        update: ['owner'],
+        delete: ['owner', 'admin']
+      }
+    }
+  },
+  'after a lawyer is hired': {
+    fixture: hiredCase,
+    items: db => ({
+      case: db.cases[0],
+      bid: db.bids[0],
+      document: db.documents[0],
+      conversation: conversationRow(db, db.conversations[1]),
+      review: db.reviews[0]
+    }),
+    expected: {
+      case: {
+        read: ['owner', 'bidder', 'hired', 'admin'],
+        update: ['owner', 'admin'],
+        delete: ['owner', 'admin'],
+        transition: ['owner', 'admin'],
+        readHistory: ['owner', 'bidder', 'hired', 'admin'],
+        readBids: ['owner', 'bidder', 'hired', 'admin'],
+        readAllBids: ['owner', 'admin'],
+        readDocuments: ['owner', 'hired', 'admin'],
+        uploadDocument: ['owner', 'hired', 'admin'],
+        converse: ['owner', 'bidder', 'hired']
+      },
+      bid: {
+        decide: ['owner'],
+        update: ['bidder'],
+        withdraw: ['bidder']
+      },
+      // The bidder's conversation, and the document shared in it, close with the hire
+      document: {
+        read: ['owner', 'hired', 'admin'],
+        delete: ['owner', 'admin']
+      },
+      conversation: {
+        read: ['owner', 'hired'],
+        send: ['owner', 'hired']
+      },
+      review: {
+        update: ['owner'],
+        delete: ['owner', 'admin']
+      }
+    }
+  }
+};
+
+describe('Policy', () => {
+  const execute = pool.execute;
+  after(() => {
+    pool.execute = execute;
+  });
+
+  Object.entries(MATRIX).forEach(([phase, { fixture, items, expected }]) => {
+    describe(phase, () => {
+      let db;
+      before(() => {
+        db = fixture();
+        pool.execute = fakeExecute(db);
+      });
+
+      Object.entries(POLICIES).forEach(([resource, actions]) => {
+        Object.keys(actions).forEach(action => {
+          it(`${resource}.${action}`, async () => {
+            const allowed = expected[resource]?.[action];
+            assert.ok(allowed, `No expectation for ${resource}.${action}`);
+
+            const item = items(db)[resource];
+            for (const [name, user] of Object.entries(ACTORS)) {
+              assert.equal(
+                await Policy.can(user, resource, action, item),
+                allowed.includes(name),
+                `${name} ${allowed.includes(name) ? 'should' : 'should not'} be able to ${resource}.${action}`
+              );
+            }
+          });
+        });
+      });
+    });
+  });
+
+  it('closes a bidder\'s conversation once another lawyer is hired', async () => {
+    const db = hiredCase();
+    pool.execute = fakeExecute(db);
+    const conversation = conversationRow(db, db.conversations[0]);
+
+    for (const user of Object.values(ACTORS)) {
+      assert.equal(await Policy.can(user, 'conversation', 'read', conversation), false);
+    }
+  });
+
+  it('closes a conversation, and documents shared in it, when the lawyer withdraws their bid', async () => {
+    const db = openCase();
+    db.bids[0].status = 'withdrawn';
+    pool.execute = fakeExecute(db);
+    const conversation = conversationRow(db, db.conversations[0]);
+
+    assert.equal(await Policy.can(ACTORS.owner, 'conversation', 'read', conversation), false);
+    assert.equal(await Policy.can(ACTORS.bidder, 'conversation', 'send', conversation), false);
+    assert.equal(await Policy.can(ACTORS.bidder, 'document', 'read', db.documents[0]), false);
+  });
+
+  it('refuses actions it has no policy for', () => {
+    assert.throws(() => Policy.allows('case', 'archive', new Set(['admin'])), /No policy for case.archive/);
+  });
+});
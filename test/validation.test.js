@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validationResult } from 'express-validator';
+import bidRoutes from '../routes/bids.js';
+import caseRoutes from '../routes/cases.js';
+import reviewRoutes from '../routes/reviews.js';
+
+// Run the check() chains on a route against a request body, skipping the
+// auth, policy and rate limit middleware around them. Resolves to the
+// fields that failed.
+const invalidFields = async (router, method, path, body) => {
+  const layer = router.stack.find(l => l.route?.path === path && l.route.methods[method]);
+  const req = { body, params: {}, query: {}, headers: {}, cookies: {} };
+  for (const { handle } of layer.route.stack) {
+    if (typeof handle.run === 'function') {
+      await handle.run(req);
+    }
+  }
+  return validationResult(req).array().map(error => error.path);
+};
+
+describe('Request validation', () => {
+  it('accepts a well formed bid', async () => {
+    const fields = await invalidFields(bidRoutes, 'post', '/', { case_id: 1, amount: '5', message: 'Hi' });
+    assert.deepEqual(fields, []);
+  });
+
+  it('refuses array values where one value is expected', async () => {
+    assert.deepEqual(await invalidFields(bidRoutes, 'put', '/:id/status', { status: ['accepted'] }), ['status']);
+
+    const bidFields = await invalidFields(bidRoutes, 'post', '/', { case_id: [1], amount: ['5'], message: ['x'] });
+    assert.deepEqual([...new Set(bidFields)].sort(), ['amount', 'case_id', 'message']);
+
+    const caseFields = await invalidFields(caseRoutes, 'post', '/', {
+      title: ['x'],
+      description: 'A description',
+      category: 'Family Law',
+      budget: [100]
+    });
+    assert.deepEqual([...new Set(caseFields)].sort(), ['budget', 'title']);
+
+    const reviewFields = await invalidFields(reviewRoutes, 'post', '/', {
+      case_id: 1,
+      rating: [5],
+      title: 'Great',
+      comment: ['x']
+    });
+    assert.deepEqual([...new Set(reviewFields)].sort(), ['comment', 'rating']);
+  });
+
+  it('refuses booleans sent as strings, so "false" is never read as true', async () => {
+    const review = { case_id: 1, rating: 4, title: 'Good', comment: 'Helpful' };
+    for (const value of ['false', '0', 'true']) {
+      const fields = await invalidFields(reviewRoutes, 'post', '/', { ...review, is_anonymous: value });
+      assert.deepEqual(fields, ['is_anonymous']);
+    }
+    assert.deepEqual(await invalidFields(reviewRoutes, 'post', '/', { ...review, is_anonymous: false }), []);
+  });
+});
@@ -1,55 +1,159 @@
+// Builds a parameterised SELECT from query-string options such as
+// ?category=Tax&budget[gte]=500&sort=-created_at&page=2&limit=20&fields=title,budget
+//
+// Only whitelisted fields can be filtered, sorted or selected; everything
+// else in the query string is ignored. Values are always bound as parameters.
+const OPERATORS = {
+  gte: '>=',
+  gt: '>',
+  lte: '<=',
+  lt: '<',
+  ne: '!='
+};
+
+// Escape LIKE wildcards so user input is matched literally
+export const escapeLike = value => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+const RESERVED_PARAMS = ['page', 'sort', 'limit', 'fields'];
+
+const toValue = value => {
+  if (value === 'true') return 1;
+  if (value === 'false') return 0;
+  return value;
+};
+
 class APIFeatures {
-  constructor(query, queryString) {
-    this.query = query;
+  // from:    FROM clause, e.g. 'cases' or 'bids b JOIN users u ON b.lawyer_id = u.id'
+  // columns: API field name -> SQL expression for every field that may be
+  //          returned, filtered or sorted on
+  constructor(from, queryString, { columns, defaultSort = '-created_at', defaultLimit = 20, maxLimit = 100 }) {
+    this.from = from;
     this.queryString = queryString;
+    this.columns = columns;
+    this.defaultSort = defaultSort;
+    this.defaultLimit = defaultLimit;
+    this.maxLimit = maxLimit;
+
+    this.conditions = [];
+    this.params = [];
+    this.orderBy = [];
+    this.computed = {};
+    this.page = 1;
+    this.limit = defaultLimit;
+  }
+
+  // Add a fixed condition, e.g. the rows a role is allowed to see
+  where(condition, ...params) {
+    this.conditions.push(condition);
+    this.params.push(...params);
+    return this;
+  }
+
+  // Add a computed column to the result, e.g. a relevance score. Its alias
+  // can then be used in sort like any whitelisted field.
+  select(alias, expression, ...params) {
+    this.computed[alias] = { expression, params };
+    return this;
   }
 
   filter() {
-    // 1A) Filtering
-    const queryObj = { ...this.queryString };
-    const excludedFields = ['page', 'sort', 'limit', 'fields'];
-    excludedFields.forEach(el => delete queryObj[el]);
+    Object.entries(this.queryString).forEach(([field, value]) => {
+      if (RESERVED_PARAMS.includes(field) || !this.columns[field]) return;
 
-    // 1B) Advanced filtering
-    let queryStr = JSON.stringify(queryObj);
-    queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, match => `$${match}`);
+      const column = this.columns[field];
 
-    this.query = this.query.find(JSON.parse(queryStr));
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        // 1B) Advanced filtering: budget[gte]=500, status[in]=open,in_progress, location[like]=york
+        Object.entries(value).forEach(([operator, operand]) => {
+          if (operator === 'like' && typeof operand === 'string') {
+            this.where(`${column} LIKE ?`, `%${escapeLike(operand)}%`);
+          } else if (operator === 'in') {
+            const values = String(operand).split(',').map(toValue);
+            this.where(`${column} IN (${values.map(() => '?').join(', ')})`, ...values);
+          } else if (OPERATORS[operator] && typeof operand === 'string') {
+            this.where(`${column} ${OPERATORS[operator]} ?`, toValue(operand));
+          }
+        });
+      } else if (typeof value === 'string') {
+        // 1A) Filtering on equality
+        this.where(`${column} = ?`, toValue(value));
+      }
+    });
 
     return this;
   }
 
   sort() {
-    if (this.queryString.sort) {
-      const sortBy = this.queryString.sort.split(',').join(' ');
-      this.query = this.query.sort(sortBy);
-    } else {
-      this.query = this.query.sort('-createdAt');
-    }
+    const sortBy = typeof this.queryString.sort === 'string' ? this.queryString.sort : this.defaultSort;
+
+    this.orderBy = sortBy
+      .split(',')
+      .map(field => field.trim())
+      .map(field => ({ name: field.replace(/^-/, ''), direction: field.startsWith('-') ? 'DESC' : 'ASC' }))
+      .filter(({ name }) => this.columns[name] || this.computed[name])
+      .map(({ name, direction }) =>
+        this.computed[name] ? `\`${name}\` ${direction}` : `${this.columns[name]} ${direction}`
+      );
 
     return this;
   }
 
   limitFields() {
-    if (this.queryString.fields) {
-      const fields = this.queryString.fields.split(',').join(' ');
-      this.query = this.query.select(fields);
-    } else {
-      this.query = this.query.select('-__v');
-    }
+    const requested =
+      typeof this.queryString.fields === 'string'
+        ? this.queryString.fields.split(',').map(field => field.trim())
+        : Object.keys(this.columns);
+
+    // Always return the id so rows can be told apart
+    this.fields = ['id', ...requested.filter(field => field !== 'id' && this.columns[field])];
 
     return this;
   }
 
   paginate() {
-    const page = this.queryString.page * 1 || 1;
-    const limit = this.queryString.limit * 1 || 100;
-    const skip = (page - 1) * limit;
-
-    this.query = this.query.skip(skip).limit(limit);
+    this.page = Math.max(parseInt(this.queryString.page, 10) || 1, 1);
+    this.limit = Math.min(Math.max(parseInt(this.queryString.limit, 10) || this.defaultLimit, 1), this.maxLimit);
 
     return this;
   }
+
+  // Run the count and page queries; returns the rows with pagination metadata
+  async execute(db) {
+    const whereClause = this.conditions.length > 0 ? ` WHERE ${this.conditions.join(' AND ')}` : '';
+
+    const [countRows] = await db.execute(
+      `SELECT COUNT(*) AS total FROM ${this.from}${whereClause}`,
+      this.params
+    );
+    const total = countRows[0].total;
+
+    const fields = this.fields || Object.keys(this.columns);
+    const computed = Object.entries(this.computed);
+    const columns = [
+      ...fields.map(field => `${this.columns[field]} AS \`${field}\``),
+      ...computed.map(([alias, { expression }]) => `${expression} AS \`${alias}\``)
+    ].join(', ');
+    const selectParams = computed.flatMap(([, { params }]) => params);
+
+    // Break ties on id so pages are stable
+    const orderBy = [...this.orderBy, `${this.columns.id} ASC`].join(', ');
+
+    // LIMIT/OFFSET are validated integers, so they are inlined rather than bound
+    const offset = (this.page - 1) * this.limit;
+    const [rows] = await db.execute(
+      `SELECT ${columns} FROM ${this.from}${whereClause}
+       ORDER BY ${orderBy} LIMIT ${Number(this.limit)} OFFSET ${Number(offset)}`,
+      [...selectParams, ...this.params]
+    );
+
+    return {
+      rows,
+      total,
+      page: this.page,
+      limit: this.limit,
+      pages: Math.ceil(total / this.limit)
+    };
+  }
 }
 
-module.exports = APIFeatures;
+export default APIFeatures;
@@ -1,13 +1,31 @@
+// Error codes sent for each status unless a more specific one is given
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR'
+};
+
+// An expected failure that is reported to the client as-is, e.g.
+//   next(new AppError('Case not found', 404))
+//   next(new AppError('Invalid input', 400, { code: 'VALIDATION_ERROR', errors }))
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, { code, errors } = {}) {
     super(message);
 
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
+    this.code = code || DEFAULT_CODES[statusCode] || 'ERROR';
+    this.errors = errors;
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
-module.exports = AppError;
+export default AppError;
@@ -0,0 +1,24 @@
+import AuditLog from '../models/AuditLog.js';
+
+// Record an action taken by the requesting user (or `actor`, e.g. on login)
+// against a target such as { type: 'case', id: 12 }, with optional snapshots of
+// the target before and after. Never rejects, so request handlers can fire and
+// forget.
+export const audit = async (req, action, target = {}, { before = null, after = null, actor = req.user } = {}) => {
+  try {
+    await AuditLog.create({
+      actor,
+      action,
+      targetType: target.type ?? null,
+      targetId: target.id ?? null,
+      before,
+      after,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (err) {
+    console.error(`Could not audit ${action}:`, err.message);
+  }
+};
+
+export default audit;
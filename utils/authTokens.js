@@ -0,0 +1,17 @@
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+// Sign a short-lived access token tied to a session
+export const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ user: { id: userId }, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+
+// Start a session for the requesting device and issue its tokens
+export const startSession = async (req, userId) => {
+  const { sessionId, refreshToken } = await Session.create(userId, {
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+  return { token: signAccessToken(userId, sessionId), refresh_token: refreshToken };
+};
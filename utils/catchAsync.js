@@ -1,5 +1,8 @@
-module.exports = fn => {
+// Wrap an async route handler so rejected promises reach the error middleware
+const catchAsync = fn => {
   return (req, res, next) => {
     fn(req, res, next).catch(next);
   };
 };
+
+export default catchAsync;
@@ -0,0 +1,24 @@
+// Format values as one CSV line (RFC 4180). Objects are written as JSON and
+// dates as ISO strings. Text that a spreadsheet would run as a formula is
+// prefixed with a quote so exports are safe to open.
+const formatValue = value => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSVLine = values => `${values.map(formatValue).join(',')}\r\n`;
+
+export default toCSVLine;
@@ -1,98 +1,179 @@
-const nodemailer = require('nodemailer');
-const pug = require('pug');
-const { htmlToText } = require('html-to-text');
+import nodemailer from 'nodemailer';
+import pug from 'pug';
+import { htmlToText } from 'html-to-text';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 
-module.exports = class Email {
-  constructor(user, url) {
-    this.to = user.email;
-    this.firstName = user.name.split(' ')[0];
-    this.url = url;
-    this.from = `LawConnect <${process.env.EMAIL_FROM}>`;
-  }
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-  newTransport() {
-    if (process.env.NODE_ENV === 'production') {
-      // Sendgrid
-      return nodemailer.createTransport({
-        service: 'SendGrid',
-        auth: {
-          user: process.env.SENDGRID_USERNAME,
-          pass: process.env.SENDGRID_PASSWORD
-        }
-      });
+// Messages captured by the memory transport
+export const outbox = [];
+
+export const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+const captureJson = onMessage => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    async sendMail(mailOptions) {
+      const info = await transport.sendMail(mailOptions);
+      await onMessage(JSON.parse(info.message));
+      return info;
     }
+  };
+};
 
-    // Mailtrap for development
-    return nodemailer.createTransport({
+// Available transports, selected with MAIL_TRANSPORT:
+// - smtp:   real delivery through EMAIL_HOST/EMAIL_PORT (production default)
+// - file:   writes each message as JSON + HTML to MAIL_OUTBOX_DIR (development default)
+// - memory: keeps messages in the exported `outbox` array (test default)
+const transports = {
+  smtp: () =>
+    nodemailer.createTransport({
       host: process.env.EMAIL_HOST,
       port: process.env.EMAIL_PORT,
+      secure: process.env.EMAIL_SECURE === 'true',
       auth: {
         user: process.env.EMAIL_USERNAME,
         pass: process.env.EMAIL_PASSWORD
       }
+    }),
+
+  file: () => {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'tmp', 'outbox');
+    return captureJson(async message => {
+      await fs.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${message.messageId.replace(/[<>@]/g, '')}`;
+      await fs.writeFile(path.join(dir, `${name}.json`), JSON.stringify(message, null, 2));
+      if (message.html) {
+        await fs.writeFile(path.join(dir, `${name}.html`), message.html);
+      }
     });
+  },
+
+  memory: () =>
+    captureJson(message => {
+      outbox.push(message);
+    })
+};
+
+const defaultTransportName = () => {
+  if (process.env.NODE_ENV === 'production') return 'smtp';
+  if (process.env.NODE_ENV === 'test') return 'memory';
+  return 'file';
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || defaultTransportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    activeTransport = transports[name]();
   }
+  return activeTransport;
+};
 
-  // Send the actual email
-  async send(template, subject) {
-    // 1) Render HTML based on a pug template
-    const html = pug.renderFile(
-      `${__dirname}/../views/emails/${template}.pug`,
-      {
-        firstName: this.firstName,
-        url: this.url,
-        subject
+// Replace the transport, e.g. with a stub in tests. Anything with a
+// sendMail(mailOptions) method that returns a promise will do.
+export const setTransport = transport => {
+  activeTransport = transport;
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Send a message, retrying with exponential backoff. Never rejects: failures
+// are logged and reported by resolving to false, so callers inside a request
+// can fire and forget.
+export const deliver = async mailOptions => {
+  const maxAttempts = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 3;
+  const retryDelay = parseInt(process.env.MAIL_RETRY_DELAY_MS, 10) || 1000;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+    try {
+      await getTransport().sendMail(mailOptions);
+      return true;
+    } catch (err) {
+      console.error(
+        `Email "${mailOptions.subject}" to ${mailOptions.to} failed (attempt ${attempt}/${maxAttempts}):`,
+        err.message
+      );
+      if (attempt < maxAttempts) {
+        await wait(retryDelay * 2 ** (attempt - 1));
       }
-    );
+    }
+  }
+
+  console.error(`Giving up on email "${mailOptions.subject}" to ${mailOptions.to}`);
+  return false;
+};
+
+export default class Email {
+  constructor(user, url) {
+    this.to = user.email;
+    this.firstName = user.name.split(' ')[0];
+    this.url = url;
+    this.from = `LawConnect <${process.env.EMAIL_FROM || 'hello@lawconnect.com'}>`;
+  }
 
-    // 2) Define email options
-    const mailOptions = {
+  // Send the actual email. Resolves to whether it was delivered; never rejects.
+  async send(template, subject, locals = {}) {
+    let html;
+    try {
+      // 1) Render HTML based on a pug template
+      html = pug.renderFile(
+        `${__dirname}/../views/emails/${template}.pug`,
+        {
+          firstName: this.firstName,
+          url: this.url,
+          subject,
+          ...locals
+        }
+      );
+    } catch (err) {
+      console.error(`Could not render email template "${template}":`, err.message);
+      return false;
+    }
+
+    // 2) Define email options and hand them to the transport
+    return deliver({
       from: this.from,
       to: this.to,
       subject,
       html,
       text: htmlToText(html)
-    };
-
-    // 3) Create a transport and send email
-    await this.newTransport().sendMail(mailOptions);
+    });
   }
 
   async sendWelcome() {
-    await this.send('welcome', 'Welcome to LawConnect!');
+    return this.send('welcome', 'Welcome to LawConnect!');
   }
 
   async sendPasswordReset() {
-    await this.send(
+    return this.send(
       'passwordReset',
       'Your password reset token (valid for only 10 minutes)'
     );
   }
-};
 
-// Simple email sending function (for non-class use)
-const sendEmail = async options => {
-  // 1) Create a transporter
-  const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    auth: {
-      user: process.env.EMAIL_USERNAME,
-      pass: process.env.EMAIL_PASSWORD
-    }
-  });
+  async sendEmailVerification() {
+    return this.send('verifyEmail', 'Confirm your new email address (valid for 24 hours)');
+  }
+
+  async sendNotification(subject, message) {
+    return this.send('notification', subject, { message });
+  }
+}
 
-  // 2) Define the email options
-  const mailOptions = {
-    from: 'LawConnect <hello@lawconnect.com>',
+// Simple email sending function (for non-class use)
+export const sendEmail = async options =>
+  deliver({
+    from: `LawConnect <${process.env.EMAIL_FROM || 'hello@lawconnect.com'}>`,
     to: options.email,
     subject: options.subject,
     text: options.message
-    // html:
-  };
-
-  // 3) Actually send the email
-  await transporter.sendMail(mailOptions);
-};
-
-module.exports = sendEmail;
+  });
@@ -0,0 +1,44 @@
+// Helpers for showing where search terms matched, as HTML with <mark> tags.
+// All text outside the tags is HTML-escaped.
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = text => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const termsPattern = terms => new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'giu');
+
+// Split a search query into the words worth highlighting
+export const searchTerms = query =>
+  query.split(/[^\p{L}\p{N}]+/u).filter(term => term.length >= 2);
+
+// Escape text and wrap every occurrence of the terms in <mark>
+export const highlight = (text, terms) => {
+  if (!text) return text;
+  if (terms.length === 0) return escapeHtml(text);
+
+  return text
+    .split(termsPattern(terms))
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+// Cut a window of text around the first match and highlight it
+export const snippet = (text, terms, radius = 80) => {
+  if (!text) return text;
+
+  const match = terms.length > 0 ? termsPattern(terms).exec(text) : null;
+  const center = match ? match.index : 0;
+  const start = Math.max(0, center - radius);
+  const end = Math.min(text.length, center + radius + (match ? match[0].length : radius));
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return `${prefix}${highlight(text.slice(start, end), terms)}${suffix}`;
+};
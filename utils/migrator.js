@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import mysql from 'mysql2/promise';
+import pool from '../config/db.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+// Migration files are named <version>_<name>.js, e.g. 003_add_audit_log.js,
+// and export async up(db) and down(db) functions taking a connection
+const MIGRATION_FILE = /^(\d+)_(\w+)\.js$/;
+
+// Held for the length of a run so two deploys cannot migrate at once
+const LOCK_NAME = 'lawconnect_migrations';
+
+// Create the configured database if it doesn't exist yet
+export const ensureDatabase = async () => {
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT || 3306
+  });
+
+  try {
+    await connection.query('CREATE DATABASE IF NOT EXISTS ?? DEFAULT CHARSET utf8mb4', [process.env.DB_NAME]);
+  } finally {
+    await connection.end();
+  }
+};
+
+// Migration files on disk, oldest first
+const listMigrations = async () => {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = files
+    .map(file => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, file }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Two migrations are numbered ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+const loadMigration = async migration => {
+  const { up, down } = await import(pathToFileURL(path.join(MIGRATIONS_DIR, migration.file)).href);
+  return { up, down };
+};
+
+// Run fn with a connection while holding the migration lock. The tracking
+// table is created on first use.
+const withLock = async fn => {
+  const db = await pool.getConnection();
+
+  try {
+    const [[{ locked }]] = await db.query('SELECT GET_LOCK(?, 10) AS locked', [LOCK_NAME]);
+    if (!locked) {
+      throw new Error('Another migration run is in progress');
+    }
+
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INT PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          batch INT NOT NULL,
+          run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+      `);
+      return await fn(db);
+    } finally {
+      await db.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    db.release();
+  }
+};
+
+const appliedMigrations = async db => {
+  const [rows] = await db.query('SELECT * FROM schema_migrations ORDER BY version');
+  return rows;
+};
+
+// Run every pending migration, oldest first, as one batch. MySQL commits DDL
+// as it goes, so a failed migration stops the run and is left unrecorded to
+// be fixed and run again. Resolves to the migrations that ran.
+export const migrate = () =>
+  withLock(async db => {
+    const applied = await appliedMigrations(db);
+    const done = new Set(applied.map(row => row.version));
+    const pending = (await listMigrations()).filter(migration => !done.has(migration.version));
+
+    const batch = Math.max(0, ...applied.map(row => row.batch)) + 1;
+    for (const migration of pending) {
+      const { up } = await loadMigration(migration);
+      await up(db);
+      await db.query(
+        'INSERT INTO schema_migrations (version, name, batch) VALUES (?, ?, ?)',
+        [migration.version, migration.name, batch]
+      );
+    }
+
+    return pending;
+  });
+
+// Undo the most recent batch, newest migration first. Resolves to the
+// migrations that were rolled back.
+export const rollback = () =>
+  withLock(async db => {
+    const applied = await appliedMigrations(db);
+    if (applied.length === 0) {
+      return [];
+    }
+
+    const batch = Math.max(...applied.map(row => row.batch));
+    const files = new Map((await listMigrations()).map(migration => [migration.version, migration]));
+    const lastBatch = applied.filter(row => row.batch === batch).reverse();
+
+    for (const row of lastBatch) {
+      const migration = files.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version}_${row.name} has been applied but its file is missing`);
+      }
+
+      const { down } = await loadMigration(migration);
+      if (!down) {
+        throw new Error(`Migration ${migration.file} cannot be rolled back`);
+      }
+
+      await down(db);
+      await db.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+    }
+
+    return lastBatch;
+  });
+
+// Every known migration with whether (and when) it was applied. Applied
+// migrations whose file has gone are included and flagged as missing.
+export const status = () =>
+  withLock(async db => {
+    const applied = new Map((await appliedMigrations(db)).map(row => [row.version, row]));
+    const migrations = (await listMigrations()).map(migration => ({
+      ...migration,
+      batch: applied.get(migration.version)?.batch ?? null,
+      run_at: applied.get(migration.version)?.run_at ?? null
+    }));
+
+    const onDisk = new Set(migrations.map(migration => migration.version));
+    applied.forEach(row => {
+      if (!onDisk.has(row.version)) {
+        migrations.push({
+          version: row.version,
+          name: row.name,
+          file: null,
+          batch: row.batch,
+          run_at: row.run_at,
+          missing: true
+        });
+      }
+    });
+
+    return migrations.sort((a, b) => a.version - b.version);
+  });
+
+const MIGRATION_TEMPLATE = `export const up = async db => {
+  await db.query(\`\`);
+};
+
+export const down = async db => {
+  await db.query(\`\`);
+};
+`;
+
+// Start a new migration file numbered after the latest one. Resolves to its path.
+export const createMigration = async name => {
+  const slug = String(name || '').toLowerCase().replace(/\W+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new Error('Please give the migration a name');
+  }
+
+  const migrations = await listMigrations();
+  const version = (migrations.at(-1)?.version ?? 0) + 1;
+  const file = path.join(MIGRATIONS_DIR, `${String(version).padStart(3, '0')}_${slug}.js`);
+
+  await fs.writeFile(file, MIGRATION_TEMPLATE, { flag: 'wx' });
+  return file;
+};
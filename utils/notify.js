@@ -0,0 +1,28 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import Email from './email.js';
+
+// Notify a user of an event, in-app and/or by email depending on their
+// preferences. `path` is the frontend page the notification links to.
+// Never rejects, so request handlers can fire and forget.
+export const notify = async (userId, type, { title, body = null, data = null, path = '/' }) => {
+  try {
+    const preferences = await Notification.getPreferences(userId);
+    const preference = preferences[type];
+
+    if (preference.in_app) {
+      await Notification.create({ userId, type, title, body, data: { ...data, path } });
+    }
+
+    if (preference.email) {
+      const user = await User.findById(userId);
+      if (user) {
+        new Email(user, `${process.env.CLIENT_URL || ''}${path}`).sendNotification(title, body || title);
+      }
+    }
+  } catch (err) {
+    console.error(`Could not notify user ${userId} of ${type}:`, err.message);
+  }
+};
+
+export default notify;
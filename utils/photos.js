@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorage } from './storage.js';
+
+// Every uploaded photo is stored in these sizes (square, cropped to fit)
+export const PHOTO_SIZES = {
+  thumb: 96,
+  full: 500
+};
+
+// Photo names look like "user-12-1700000000000-ab12cd"; each size is stored
+// as "photos/<name>-<size>.jpeg". A new name is used on every upload, so the
+// files can be cached forever.
+const PHOTO_FILE = /^(user-\d+-\d+-[0-9a-f]+)-(thumb|full)\.jpeg$/;
+
+export const photoKey = (name, size) => `photos/${name}-${size}.jpeg`;
+
+// Parse a requested file name into its storage key, or null if it isn't one
+export const photoKeyFromFile = file => {
+  const match = PHOTO_FILE.exec(file);
+  return match ? photoKey(match[1], match[2]) : null;
+};
+
+// URLs of each size of a stored photo, or null when the user has none
+export const photoUrls = name => {
+  if (!name) {
+    return null;
+  }
+
+  const urls = {};
+  Object.keys(PHOTO_SIZES).forEach(size => {
+    urls[size] = `/api/users/photos/${name}-${size}.jpeg`;
+  });
+  return urls;
+};
+
+// Resize an uploaded image into every size and store them. Images are
+// rotated upright first, and re-encoding drops EXIF and other metadata.
+// Resolves to the new photo name.
+export const savePhoto = async (userId, buffer) => {
+  const name = `user-${userId}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  const storage = getStorage();
+
+  for (const [size, pixels] of Object.entries(PHOTO_SIZES)) {
+    const output = await sharp(buffer)
+      .rotate()
+      .resize(pixels, pixels, { fit: 'cover' })
+      .jpeg({ quality: 90, mozjpeg: true })
+      .toBuffer();
+    await storage.save(photoKey(name, size), output);
+  }
+
+  return name;
+};
+
+// Delete every size of a stored photo. Never rejects; leftovers are only logged.
+export const removePhoto = async name => {
+  if (!name) {
+    return;
+  }
+
+  const storage = getStorage();
+  await Promise.all(
+    Object.keys(PHOTO_SIZES).map(size =>
+      storage.remove(photoKey(name, size)).catch(err => {
+        console.error(`Could not remove photo ${photoKey(name, size)}:`, err.message);
+      })
+    )
+  );
+};
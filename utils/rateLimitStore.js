@@ -0,0 +1,133 @@
+import pool from '../config/db.js';
+
+// Rate limits count hits per key in fixed windows. A store implements:
+//   increment(key, windowMs)  -> Promise<{ count, resetAt }>
+//   get(key)                  -> Promise<{ count, resetAt } | null>
+//   set(key, count, windowMs) -> Promise<void>
+//   reset(key)                -> Promise<void>
+// resetAt is when the key's window ends, in milliseconds since the epoch.
+// increment starts a new window once the last one has ended; set replaces the
+// window outright, e.g. to hold a lockout.
+
+// Expired windows are swept out on this interval
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Keeps counters in this process. Each instance of the app counts separately.
+export class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+  }
+
+  sweep() {
+    const now = Date.now();
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+  }
+
+  async increment(key, windowMs) {
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= Date.now()) {
+      window = { count: 0, resetAt: Date.now() + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count += 1;
+    return { ...window };
+  }
+
+  async get(key) {
+    const window = this.windows.get(key);
+    if (!window || window.resetAt <= Date.now()) {
+      return null;
+    }
+    return { ...window };
+  }
+
+  async set(key, count, windowMs) {
+    this.windows.set(key, { count, resetAt: Date.now() + windowMs });
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+}
+
+// Keeps counters in the rate_limits table so every instance shares them.
+// Windows are timed by the database clock; only the time left is read back,
+// so the app and database may be in different time zones.
+export class MySQLStore {
+  constructor(db = pool) {
+    this.db = db;
+    setInterval(() => {
+      this.db.execute('DELETE FROM rate_limits WHERE reset_at <= NOW(3)').catch(err => {
+        console.error('Could not sweep rate limits:', err.message);
+      });
+    }, SWEEP_INTERVAL_MS).unref();
+  }
+
+  async increment(key, windowMs) {
+    // Assignments run left to right, so reset_at is still the old value when hits is set
+    await this.db.execute(
+      `INSERT INTO rate_limits (rate_key, hits, reset_at)
+       VALUES (?, 1, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))
+       ON DUPLICATE KEY UPDATE
+         hits = IF(reset_at <= NOW(3), 1, hits + 1),
+         reset_at = IF(reset_at <= NOW(3), VALUES(reset_at), reset_at)`,
+      [key, windowMs * 1000]
+    );
+    return this.get(key);
+  }
+
+  async get(key) {
+    const [rows] = await this.db.execute(
+      `SELECT hits, TIMESTAMPDIFF(MICROSECOND, NOW(3), reset_at) DIV 1000 AS ms_left
+       FROM rate_limits WHERE rate_key = ? AND reset_at > NOW(3)`,
+      [key]
+    );
+    if (rows.length === 0) {
+      return null;
+    }
+    return { count: rows[0].hits, resetAt: Date.now() + Number(rows[0].ms_left) };
+  }
+
+  async set(key, count, windowMs) {
+    await this.db.execute(
+      `INSERT INTO rate_limits (rate_key, hits, reset_at)
+       VALUES (?, ?, DATE_ADD(NOW(3), INTERVAL ? MICROSECOND))
+       ON DUPLICATE KEY UPDATE hits = VALUES(hits), reset_at = VALUES(reset_at)`,
+      [key, count, windowMs * 1000]
+    );
+  }
+
+  async reset(key) {
+    await this.db.execute('DELETE FROM rate_limits WHERE rate_key = ?', [key]);
+  }
+}
+
+const drivers = {
+  memory: () => new MemoryStore(),
+  mysql: () => new MySQLStore()
+};
+
+let store = null;
+
+// Get the configured rate limit store (RATE_LIMIT_STORE, default "memory").
+// Use "mysql" when running more than one instance.
+export const getRateLimitStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!drivers[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    }
+    store = drivers[name]();
+  }
+  return store;
+};
+
+// Replace the rate limit store, e.g. with a fresh in-memory one in tests
+export const setRateLimitStore = driver => {
+  store = driver;
+};
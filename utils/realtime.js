@@ -0,0 +1,123 @@
+import pool from '../config/db.js';
+import Session from '../models/Session.js';
+
+// Server-Sent Events hub. Each published event gets an increasing ID and is
+// kept in a short in-memory history, so a client that reconnects with the
+// Last-Event-ID header gets what it missed. The history lives in this
+// process only: with several instances, clients must stick to one of them.
+const HISTORY_SIZE = parseInt(process.env.REALTIME_HISTORY_SIZE, 10) || 1000;
+const HEARTBEAT_MS = 25 * 1000;
+
+const connections = new Set();
+const history = [];
+let lastEventId = 0;
+
+const isRecipient = (event, user) =>
+  event.userIds.has(user.id) || event.roles.includes(user.role);
+
+const write = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+// Send an event to the given users and to everyone with one of the given roles
+export const publish = (type, data, { userIds = [], roles = ['admin'] } = {}) => {
+  lastEventId += 1;
+  const event = { id: lastEventId, type, data, userIds: new Set(userIds), roles };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+
+  connections.forEach(connection => {
+    if (isRecipient(event, connection.user)) {
+      write(connection.res, event);
+    }
+  });
+};
+
+// Users allowed to follow a case: the owner and lawyers with a live bid on it
+export const caseAudience = async caseId => {
+  const [rows] = await pool.execute(
+    `SELECT user_id FROM cases WHERE id = ?
+     UNION
+     SELECT lawyer_id FROM bids WHERE case_id = ? AND status IN ('pending', 'accepted')`,
+    [caseId, caseId]
+  );
+  return rows.map(row => row.user_id);
+};
+
+// Tell everyone following a case that it changed. Never rejects.
+export const publishCaseUpdate = async (caseId, data = {}) => {
+  try {
+    const userIds = await caseAudience(caseId);
+    publish('case-updated', { case_id: Number(caseId), ...data }, { userIds });
+  } catch (err) {
+    console.error(`Could not publish update for case ${caseId}:`, err.message);
+  }
+};
+
+// Open an event stream for an authenticated user, replaying anything missed
+// since the Last-Event-ID they send. The stream is ended with a
+// "session-ended" event when the access token expires, or on the first
+// heartbeat after its session is revoked; the client then reconnects with a
+// fresh token.
+export const subscribe = (req, res, user, { sessionId, expiresAt }) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Tell the browser how long to wait before reconnecting
+  res.write('retry: 3000\n\n');
+
+  const since = parseInt(req.header('Last-Event-ID') || req.query.lastEventId, 10);
+  if (since) {
+    const oldest = history.length > 0 ? history[0].id : lastEventId + 1;
+    if (since < oldest - 1) {
+      // Events were dropped from the history; the client should refetch
+      res.write(`event: resync\ndata: ${JSON.stringify({ last_event_id: lastEventId })}\n\n`);
+    }
+    history
+      .filter(event => event.id > since && isRecipient(event, user))
+      .forEach(event => write(res, event));
+  }
+
+  const connection = { res, user, sessionId };
+  connections.add(connection);
+
+  let heartbeat = null;
+  let expiry = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    connections.delete(connection);
+  };
+  const endSession = () => {
+    if (connections.has(connection)) {
+      close();
+      res.end('event: session-ended\ndata: {}\n\n');
+    }
+  };
+
+  heartbeat = setInterval(async () => {
+    try {
+      if (!(await Session.isActive(sessionId, user.id))) {
+        return endSession();
+      }
+    } catch (err) {
+      console.error('Could not check event stream session:', err.message);
+    }
+    if (connections.has(connection)) {
+      res.write(': ping\n\n');
+    }
+  }, HEARTBEAT_MS);
+
+  // setTimeout can't wait longer than about 24.8 days
+  expiry = setTimeout(endSession, Math.min(Math.max(0, expiresAt - Date.now()), 2 ** 31 - 1));
+
+  req.on('close', close);
+};
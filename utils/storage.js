@@ -0,0 +1,75 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Files are addressed by a relative key such as "cases/12/1700000000000-ab12cd.pdf".
+// A storage driver implements:
+//   save(key, buffer)        -> Promise<void>
+//   createReadStream(key)    -> Readable
+//   remove(key)              -> Promise<void>
+export class LocalStorage {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  // Resolve a key inside the storage root, refusing keys that escape it
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, buffer);
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fsPromises.rm(this.resolve(key), { force: true });
+  }
+}
+
+const drivers = {
+  local: () => new LocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'))
+};
+
+let storage = null;
+
+// Get the configured storage driver (STORAGE_DRIVER, default "local")
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+// Delete stored files, e.g. once the rows naming them are gone. Never
+// rejects; leftovers are only logged.
+export const removeFiles = async keys => {
+  await Promise.all(
+    keys.map(key =>
+      getStorage().remove(key).catch(err => {
+        console.error(`Could not remove stored file ${key}:`, err.message);
+      })
+    )
+  );
+};
+
+// Replace the storage driver, e.g. with an in-memory one in tests
+export const setStorage = driver => {
+  storage = driver;
+};